@@ -1,12 +1,32 @@
-import {Color, Routines, Palette, StandardColorPalette, MetroColorPalette, Primitives, info} from "./index.js";
+import {
+    Color,
+    ImmutableColor,
+    Routines,
+    Palette,
+    StandardColorPalette,
+    MetroColorPalette,
+    MaterialColorPalette,
+    TailwindColorPalette,
+    OpenColorPalette,
+    RalColorPalette,
+    X11ColorPalette,
+    Primitives,
+    info
+} from "./index.js";
 
 globalThis.Color = Color
 globalThis.color = c => new Color(c)
+globalThis.ImmutableColor = ImmutableColor
 
 globalThis.Color.Routines = Routines
 globalThis.Color.Palette = Palette
 globalThis.Color.StandardColors = StandardColorPalette
 globalThis.Color.MetroColors = MetroColorPalette
+globalThis.Color.MaterialColors = MaterialColorPalette
+globalThis.Color.TailwindColors = TailwindColorPalette
+globalThis.Color.OpenColors = OpenColorPalette
+globalThis.Color.RalColors = RalColorPalette
+globalThis.Color.X11Colors = X11ColorPalette
 globalThis.Color.Primitives = Primitives
 globalThis.Color.info = info
 
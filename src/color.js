@@ -1,4 +1,21 @@
 import * as Routines from "./routines.js";
+import {Palette} from "./palette.js";
+
+/**
+ * Copy color value, primitives are copied with their prototype
+ * @param {*} value
+ * @returns {*}
+ */
+const cloneValue = value => {
+    if (!value || typeof value !== "object") {
+        return value;
+    }
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(value)), value);
+    if (Array.isArray(value.coords)) {
+        copy.coords = [...value.coords];
+    }
+    return copy;
+};
 
 export class Color {
     /**
@@ -10,6 +27,9 @@ export class Color {
         if (!color) {
             color = "#000000";
         }
+        if (color instanceof Color) {
+            color = cloneValue(color.value);
+        }
         if (typeof color === "string") {
             color = Routines.parseColor(color);
         }
@@ -31,7 +51,7 @@ export class Color {
 
     /**
      * Constructor
-     * @param {*} color. Set color value. Value must one of: hex, RGB, RGBA, HSL, HSLA, HSV, CMYK.
+     * @param {*} color. Set color value. Value must one of: hex, RGB, RGBA, HSL, HSLA, HSV, HWB, CMYK, Lab, LCH, OKLab, OKLCH, color().
      * @param {Object} options
      */
     constructor(color = "#000000", options = null) {
@@ -64,7 +84,7 @@ export class Color {
     }
 
     /**
-     * Setter. Set color value. Value must one of: hex, RGB, RGBA, HSL, HSLA, HSV, CMYK.
+     * Setter. Set color value. Value must one of: hex, RGB, RGBA, HSL, HSLA, HSV, HWB, CMYK, Lab, LCH, OKLab, OKLCH, color().
      * @param {*} color
      */
     set value(color) {
@@ -93,35 +113,26 @@ export class Color {
 
     /**
      * Convert current value to RGBA
-     * @param alpha - Alpha chanel value.
+     * @param alpha - Alpha chanel value. If not specified, alpha of current value is used
      * @returns {this | undefined}
      */
     toRGBA(alpha) {
         if (!this._value) {
             return;
         }
-        if (Routines.isRGBA(this._value)) {
-            if (alpha) {
-                this._value = Routines.toRGBA(this._value, alpha);
-            }
-        } else {
-            this._value = Routines.toRGBA(
-                this._value,
-                alpha || Routines.colorDefaultProps.alpha
-            );
-        }
+        this._value = Routines.toRGBA(this._value, alpha);
         return this;
     }
 
     /**
-     * Getter. Get value in RGBA format. For alpha chanel value used options.alpha
+     * Getter. Get value in RGBA format. For opaque colors alpha chanel value used options.alpha
      * @returns {RGBA | undefined}
      */
     get rgba() {
         return this._value
             ? Routines.isRGBA(this._value)
                 ? this._value
-                : Routines.toRGBA(this._value, this._options.alpha)
+                : Routines.toRGBA(this._value, this.alpha < 1 ? this.alpha : this._options.alpha)
             : undefined;
     }
 
@@ -165,6 +176,31 @@ export class Color {
         return this._value ? Routines.toHSV(this._value) : undefined;
     }
 
+    /**
+     * Convert current value to HSVA
+     * @param alpha - Alpha chanel value. If not specified, alpha of current value is used
+     * @returns {this | undefined}
+     */
+    toHSVA(alpha) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toHSVA(this._value, alpha);
+        return this;
+    }
+
+    /**
+     * Getter. Get value as HSVA. For opaque colors alpha chanel value used options.alpha
+     * @returns {HSVA | undefined}
+     */
+    get hsva() {
+        return this._value
+            ? Routines.isHSVA(this._value)
+                ? this._value
+                : Routines.toHSVA(this._value, this.alpha < 1 ? this.alpha : this._options.alpha)
+            : undefined;
+    }
+
     /**
      * Convert current value to HSL
      * @returns {this | undefined}
@@ -186,33 +222,27 @@ export class Color {
     }
 
     /**
-     * Convert current value to HSV
-     * @param alpha
+     * Convert current value to HSLA
+     * @param alpha - Alpha chanel value. If not specified, alpha of current value is used
      * @returns {this | undefined}
      */
     toHSLA(alpha) {
         if (!this._value) {
             return;
         }
-        if (Routines.isHSLA(this._value)) {
-            if (alpha) {
-                this._value = Routines.toHSLA(this._value, alpha);
-            }
-        } else {
-            this._value = Routines.toHSLA(this._value, alpha);
-        }
+        this._value = Routines.toHSLA(this._value, alpha);
         return this;
     }
 
     /**
-     * Getter. Get value as HSLA. For alpha used options.alpha
+     * Getter. Get value as HSLA. For opaque colors alpha chanel value used options.alpha
      * @returns {HSLA | undefined}
      */
     get hsla() {
         return this._value
             ? Routines.isHSLA(this._value)
                 ? this._value
-                : Routines.toHSLA(this._value, this._options.alpha)
+                : Routines.toHSLA(this._value, this.alpha < 1 ? this.alpha : this._options.alpha)
             : undefined;
     }
 
@@ -236,6 +266,238 @@ export class Color {
         return this._value ? Routines.toCMYK(this._value) : undefined;
     }
 
+    /**
+     * Convert current value to CMYKA
+     * @param alpha - Alpha chanel value. If not specified, alpha of current value is used
+     * @returns {this | undefined}
+     */
+    toCMYKA(alpha) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toCMYKA(this._value, alpha);
+        return this;
+    }
+
+    /**
+     * Getter. Get value as CMYKA
+     * @returns {CMYKA | undefined}
+     */
+    get cmyka() {
+        return this._value ? Routines.toCMYKA(this._value) : undefined;
+    }
+
+    /**
+     * Getter. Get alpha channel value, colors without alpha channel are opaque
+     * @returns {number | undefined}
+     */
+    get alpha() {
+        return this._value ? Routines.getAlpha(this._value) : undefined;
+    }
+
+    /**
+     * Set alpha channel of current color. Colors without alpha channel are converted to their alpha variant
+     * @param {number} alpha - Value between 0 and 1
+     * @returns {this | undefined}
+     */
+    fade(alpha) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.fade(this._value, alpha);
+        return this;
+    }
+
+    /**
+     * Make current color more opaque
+     * @param {number} amount - Value between 0 and 1
+     * @returns {this | undefined}
+     */
+    opacify(amount = 0.1) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.opacify(this._value, amount);
+        return this;
+    }
+
+    /**
+     * Make current color more transparent
+     * @param {number} amount - Value between 0 and 1
+     * @returns {this | undefined}
+     */
+    transparentize(amount = 0.1) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.transparentize(this._value, amount);
+        return this;
+    }
+
+    /**
+     * Convert current value to HWB
+     * @returns {this | undefined}
+     */
+    toHWB() {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toHWB(this._value);
+        return this;
+    }
+
+    /**
+     * Getter. Get value as HWB
+     * @returns {HWB | undefined}
+     */
+    get hwb() {
+        return this._value ? Routines.toHWB(this._value) : undefined;
+    }
+
+    /**
+     * Convert current value to HCT
+     * @returns {this | undefined}
+     */
+    toHCT() {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toHCT(this._value);
+        return this;
+    }
+
+    /**
+     * Getter. Get value as HCT
+     * @returns {HCT | undefined}
+     */
+    get hct() {
+        return this._value ? Routines.toHCT(this._value) : undefined;
+    }
+
+    /**
+     * Convert current value to CIE Lab
+     * @returns {this | undefined}
+     */
+    toLAB() {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toLab(this._value);
+        return this;
+    }
+
+    /**
+     * Getter. Get value as CIE Lab
+     * @returns {Lab | undefined}
+     */
+    get lab() {
+        return this._value ? Routines.toLab(this._value) : undefined;
+    }
+
+    /**
+     * Convert current value to CIE LCH
+     * @returns {this | undefined}
+     */
+    toLCH() {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toLCH(this._value);
+        return this;
+    }
+
+    /**
+     * Getter. Get value as CIE LCH
+     * @returns {LCH | undefined}
+     */
+    get lch() {
+        return this._value ? Routines.toLCH(this._value) : undefined;
+    }
+
+    /**
+     * Convert current value to OKLab
+     * @returns {this | undefined}
+     */
+    toOKLAB() {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toOKLab(this._value);
+        return this;
+    }
+
+    /**
+     * Getter. Get value as OKLab
+     * @returns {OKLab | undefined}
+     */
+    get oklab() {
+        return this._value ? Routines.toOKLab(this._value) : undefined;
+    }
+
+    /**
+     * Convert current value to OKLCH
+     * @returns {this | undefined}
+     */
+    toOKLCH() {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toOKLCH(this._value);
+        return this;
+    }
+
+    /**
+     * Getter. Get value as OKLCH
+     * @returns {OKLCH | undefined}
+     */
+    get oklch() {
+        return this._value ? Routines.toOKLCH(this._value) : undefined;
+    }
+
+    /**
+     * Convert current value to predefined color space of css color() function
+     * @param {string} space - srgb, srgb-linear, display-p3, a98-rgb, prophoto-rgb, rec2020, xyz, xyz-d50, xyz-d65. Default is display-p3
+     * @returns {this | undefined}
+     */
+    toColorSpace(space = "display-p3") {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toColorSpace(this._value, space);
+        return this;
+    }
+
+    /**
+     * Getter. Get value in display-p3 color space
+     * @returns {PredefinedColor | undefined}
+     */
+    get p3() {
+        return this._value ? Routines.toColorSpace(this._value, "display-p3") : undefined;
+    }
+
+    /**
+     * Check if current color is inside the gamut of specified color space
+     * @param {string} space - srgb, display-p3, a98-rgb, prophoto-rgb, rec2020. Default is srgb
+     * @returns {boolean | undefined}
+     */
+    inGamut(space = "srgb") {
+        return this._value ? Routines.inGamut(this._value, space) : undefined;
+    }
+
+    /**
+     * Map current color to the gamut of specified color space
+     * @param {string} space - srgb, display-p3, a98-rgb, prophoto-rgb, rec2020. Default is srgb
+     * @param {Object} options - {method: "css" | "clip"}
+     * @returns {this | undefined}
+     */
+    toGamut(space = "srgb", options = {}) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.toGamut(this._value, space, options);
+        return this;
+    }
+
     /**
      * Convert color value to websafe value
      * @returns {this | undefined}
@@ -258,10 +520,14 @@ export class Color {
 
     /**
      * Get stringify color value
+     * @param {Object} options - Format options, see Routines.format. If not specified, primitive's own format is used
      * @returns {string} This function return string presentation of color. Example: for RGB will return rgb(x, y, z)
      */
-    toString() {
-        return this._value ? Routines.colorToString(this._value) : undefined;
+    toString(options) {
+        if (!this._value) {
+            return undefined;
+        }
+        return options ? Routines.format(this._value, options) : Routines.colorToString(this._value);
     }
 
     /**
@@ -306,6 +572,80 @@ export class Color {
         return this._value ? Routines.isLight(this._value) : undefined;
     }
 
+    /**
+     * Getter. Get WCAG relative luminance of current color
+     * @returns {number | undefined}
+     */
+    get luminance() {
+        return this._value ? Routines.luminance(this._value) : undefined;
+    }
+
+    /**
+     * Get WCAG 2.x contrast ratio between current color and specified color
+     * @param {*} color
+     * @returns {number | undefined}
+     */
+    contrast(color) {
+        return this._value ? Routines.contrast(this._value, color) : undefined;
+    }
+
+    /**
+     * Return true, if current color as text color is readable on specified background
+     * @param {*} background
+     * @param {Object} options - {level: "AA" | "AAA", size: "normal" | "large"}
+     * @returns {boolean | undefined}
+     */
+    isReadable(background, options = {}) {
+        return this._value ? Routines.isReadable(this._value, background, options) : undefined;
+    }
+
+    /**
+     * Change current color to the nearest color with required WCAG contrast ratio on specified background.
+     * Value is not changed, if required contrast is impossible, use Routines.ensureContrast() to detect it.
+     * @param {*} background
+     * @param {Object} options - {ratio: number, space: "hsl" | "lch" | "oklch", direction: "auto" | "lighter" | "darker"}
+     * @returns {this | undefined}
+     */
+    ensureContrast(background, options = {}) {
+        let result;
+        if (!this._value) {
+            return;
+        }
+        result = Routines.ensureContrast(this._value, background, options);
+        if (result) {
+            this._value = result;
+        }
+        return this;
+    }
+
+    /**
+     * Get APCA lightness contrast (Lc) of current color as text color on specified background
+     * @param {*} background
+     * @returns {number | undefined}
+     */
+    apcaContrast(background) {
+        return this._value ? Routines.apcaContrast(this._value, background) : undefined;
+    }
+
+    /**
+     * Return true, if current color as text color is readable on specified background according to APCA font lookup table
+     * @param {*} background
+     * @param {Object} options - {fontSize: number, fontWeight: number}, default is 16px and 400
+     * @returns {boolean | undefined}
+     */
+    isApcaReadable(background, options = {}) {
+        return this._value ? Routines.apcaReadable(this._value, background, options) : undefined;
+    }
+
+    /**
+     * Get the candidate with the highest contrast ratio on current color
+     * @param {Array} candidates - List of colors. Default is black and white
+     * @returns {* | undefined}
+     */
+    mostReadable(candidates) {
+        return this._value ? Routines.mostReadable(this._value, candidates) : undefined;
+    }
+
     /**
      * Change value on wheel with specified angle
      * @param {int} angle - Value between -360 and 360
@@ -318,6 +658,40 @@ export class Color {
         return this;
     }
 
+    /**
+     * Make current color warmer
+     * @param {number} amount - Temperature shift in Kelvin. Default is 1000
+     * @returns {this | undefined}
+     */
+    warm(amount = 1000) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.warm(this._value, amount);
+        return this;
+    }
+
+    /**
+     * Make current color cooler
+     * @param {number} amount - Temperature shift in Kelvin. Default is 1000
+     * @returns {this | undefined}
+     */
+    cool(amount = 1000) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.cool(this._value, amount);
+        return this;
+    }
+
+    /**
+     * Getter. Get correlated color temperature of current color in Kelvin
+     * @returns {number | undefined}
+     */
+    get temperature() {
+        return this._value ? Routines.toTemperature(this._value) : undefined;
+    }
+
     /**
      * Convert color value to grayscale value
      * @returns {this | undefined}
@@ -333,6 +707,44 @@ export class Color {
         return this;
     }
 
+    /**
+     * Simulate how current color is seen with color vision deficiency
+     * @param {string} type - protanopia, protanomaly, deuteranopia, deuteranomaly, tritanopia, tritanomaly, achromatopsia, achromatomaly
+     * @param {number} severity - Value between 0 and 1
+     * @returns {this | undefined}
+     */
+    simulate(type, severity) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.simulate(this._value, type, severity);
+        return this;
+    }
+
+    /**
+     * Correct current color for people with color vision deficiency
+     * @param {string} type - protanopia, protanomaly, deuteranopia, deuteranomaly, tritanopia, tritanomaly
+     * @param {number} severity - Value between 0 and 1
+     * @returns {this | undefined}
+     */
+    daltonize(type, severity) {
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.daltonize(this._value, type, severity);
+        return this;
+    }
+
+    /**
+     * Find the closest named color for current color
+     * @param {string|Object|Array} palette - Palette, registered palette name or array of them. Default is all registered palettes
+     * @param {Object} options - {metric: "cie76" | "cie94" | "ciede2000" | "ok"}
+     * @returns {{name: string, palette: string | undefined, color: string, distance: number} | undefined}
+     */
+    name(palette, options = {}) {
+        return this._value ? Palette.nearest(this._value, palette, options) : undefined;
+    }
+
     /**
      * Getter. Get color type
      * @returns {string}
@@ -357,75 +769,284 @@ export class Color {
     /**
      * Check if color is equal to comparison color
      * @param {*} color
+     * @param {number} tolerance - Maximal Delta E for colors to be equal. Default is 0 (exact match)
+     * @param {Object} options - Options for Delta E, {method: "cie76" | "cie94" | "ciede2000" | "ok"}
      * @returns {boolean}
      */
-    equal(color) {
-        return Routines.equal(this._value, color);
+    equal(color, tolerance = 0, options = {}) {
+        return Routines.equal(this._value, color, tolerance, options);
+    }
+
+    /**
+     * Get perceptual difference (Delta E) between current color and comparison color
+     * @param {*} color
+     * @param {Object} options - {method: "cie76" | "cie94" | "ciede2000" | "ok"}, default method is ciede2000
+     * @returns {number | undefined}
+     */
+    deltaE(color, options = {}) {
+        return this._value ? Routines.deltaE(this._value, color, options) : undefined;
     }
 
+    /**
+     * Set random color value
+     * @param {string} colorType - Type of new value. Default is hex
+     * @param {number} alpha
+     * @returns {this}
+     */
     random(colorType, alpha){
         this._value = Routines.randomColor(colorType, alpha)
+        return this;
+    }
+
+    /**
+     * Create a copy of current color with the same options
+     * @returns {Color}
+     */
+    clone(){
+        return new Color(cloneValue(this._value), this._options);
+    }
+
+    /**
+     * Create immutable copy of current color
+     * @returns {ImmutableColor}
+     */
+    immutable(){
+        return new ImmutableColor(this._value, this._options);
     }
 
+    /**
+     * Set value of the color channel. Value is changed in the channel color model and converted back to current color type.
+     * @param {string} ch - Channel name: red, green, blue, alpha, hue, saturation, value, lightness, whiteness, blackness, cyan, magenta, yellow, black
+     * @param {number} val - Channel value in units of channel color model (0-255 for red, 0-1 for saturation, 0-100 for cyan, ...)
+     * @returns {this | undefined}
+     */
     channel(ch, val){
+        const channels = {
+            red: ["rgb", "r"],
+            green: ["rgb", "g"],
+            blue: ["rgb", "b"],
+            hue: ["hsv", "h"],
+            saturation: ["hsv", "s"],
+            value: ["hsv", "v"],
+            lightness: ["hsl", "l"],
+            whiteness: ["hwb", "w"],
+            blackness: ["hwb", "b"],
+            cyan: ["cmyk", "c"],
+            magenta: ["cmyk", "m"],
+            yellow: ["cmyk", "y"],
+            black: ["cmyk", "k"],
+        }
         const currentType = this.type
+        let color
 
-        if (["red", "green", "blue"].includes(ch)) {
-            this.toRGB();
-            this._value[["red", "green", "blue"].indexOf(ch)] = val;
-            this["to"+currentType]();
-        }
-        if (ch === "alpha" && this._value.a) {
-            this._value.a = val;
-        }
-        if (["hue", "saturation", "value"].includes(ch)) {
-            this.toHSV();
-            this._value[["hue", "saturation", "value"].indexOf(ch)] = val;
-            this["to"+currentType]();
+        if (!this._value) {
+            return;
         }
-        if (["lightness"].includes(ch)) {
-            this.toHSL();
-            this._value[2] = val;
-            this["to"+currentType]();
+
+        if (ch === "alpha") {
+            this._value = Routines.fade(this._value, val);
         }
-        if (["cyan", "magenta", "yellow", "black"].includes(ch)) {
-            this.toCMYK();
-            this._value[["cyan", "magenta", "yellow", "black"].indexOf(ch)] = val;
-            this["to"+currentType]();
+
+        if (channels[ch]) {
+            const [model, key] = channels[ch]
+            color = Routines.toColor(this._value, model);
+            color[key] = val;
+            this._value = Routines.toColor(color, currentType, Routines.getAlpha(this._value));
         }
 
         return this;
     }
 
+    /**
+     * Set current color to the average of current and specified colors
+     * @param {*} color
+     * @returns {this | undefined}
+     */
     add(color){
-        this._setValue(Routines.add(this._value, color));
+        if (!this._value) {
+            return;
+        }
+        this._setValue(Routines.add(this._value, color, this.type));
+        return this;
     }
 
+    /**
+     * Mix current color with specified color
+     * @param {*} color
+     * @param {number} amount - Percent of specified color, value between 0 and 100. Default is 50
+     * @returns {this | undefined}
+     */
     mix(color, amount){
-        this._setValue(Routines.mix(this._value, color, amount));
+        if (!this._value) {
+            return;
+        }
+        this._setValue(Routines.toColor(Routines.mix(this._value, color, amount), this.type));
+        return this;
     }
 
+    /**
+     * Multiply current color by specified color
+     * @param {*} color
+     * @returns {this | undefined}
+     */
     multiply(color){
-        this._setValue(Routines.multiply(this._value, color));
+        if (!this._value) {
+            return;
+        }
+        this._setValue(Routines.toColor(Routines.multiply(this._value, color), this.type, this.alpha));
+        return this;
+    }
+
+    /**
+     * Blend specified color over current color with blend mode
+     * @param {*} color - Source color, current color is used as backdrop
+     * @param {string} mode - normal, multiply, screen, overlay, darken, lighten, color-dodge, color-burn, hard-light,
+     * soft-light, difference, exclusion, hue, saturation, color, luminosity. Default is normal
+     * @returns {this | undefined}
+     */
+    blend(color, mode = "normal"){
+        if (!this._value) {
+            return;
+        }
+        this._value = Routines.blend(color, this._value, mode);
+        return this;
     }
 
+    /**
+     * Shade (amount < 0) or tint (amount > 0) current color
+     * @param {number} amount - Value between -100 and 100
+     * @returns {this | undefined}
+     */
     shade(amount){
+        if (!this._value) {
+            return;
+        }
         this._setValue(Routines.shade(this._value, amount));
+        return this;
     }
 
+    /**
+     * Increase saturation of current color
+     * @param {number} amount - Value between 0 and 100
+     * @returns {this | undefined}
+     */
     saturate(amount){
+        if (!this._value) {
+            return;
+        }
         this._setValue(Routines.saturate(this._value, amount));
+        return this;
     }
 
+    /**
+     * Decrease saturation of current color
+     * @param {number} amount - Value between 0 and 100
+     * @returns {this | undefined}
+     */
     desaturate(amount){
+        if (!this._value) {
+            return;
+        }
         this._setValue(Routines.desaturate(this._value, amount));
+        return this;
     }
 
+    /**
+     * Rotate hue of current color
+     * @param {number} amount - Angle in degrees
+     * @returns {this | undefined}
+     */
     spin(amount){
+        if (!this._value) {
+            return;
+        }
         this._setValue(Routines.spin(this._value, amount));
+        return this;
     }
 
+    /**
+     * Brighten (amount > 0) or dim (amount < 0) current color
+     * @param {number} amount - Value between -100 and 100
+     * @returns {this | undefined}
+     */
     brighten(amount){
+        if (!this._value) {
+            return;
+        }
         this._setValue(Routines.brighten(this._value, amount));
+        return this;
     }
 }
+
+/**
+ * Methods of Color, which change color value
+ */
+const MUTATORS = [
+    "toRGB", "toRGBA", "toHEX", "toHSV", "toHSVA", "toHSL", "toHSLA", "toCMYK", "toCMYKA", "toHWB", "toHCT",
+    "toLAB", "toLCH", "toOKLAB", "toOKLCH", "toColorSpace", "toGamut", "toWebsafe",
+    "fade", "opacify", "transparentize", "darken", "lighten", "ensureContrast", "hueShift", "warm", "cool", "grayscale",
+    "simulate", "daltonize", "random", "channel", "add", "mix", "multiply", "blend",
+    "shade", "saturate", "desaturate", "spin", "brighten",
+];
+
+/**
+ * Immutable color. Value can't be changed, every operation returns a new ImmutableColor.
+ * Only when color value is invalid, operations return undefined like for Color.
+ */
+export class ImmutableColor extends Color {
+    /**
+     * Private method for setting value. Value is copied and frozen. Do not use outside
+     * @param {*} color
+     * @private
+     */
+    _setValue(color) {
+        super._setValue(cloneValue(color));
+        if (this._value && typeof this._value === "object") {
+            Object.freeze(this._value);
+            Object.freeze(this._value.coords);
+        }
+    }
+
+    /**
+     * Getter. Return current color value.
+     * @returns {*}
+     */
+    get value() {
+        return super.value;
+    }
+
+    /**
+     * Setter. Value of immutable color can't be changed
+     * @param {*} color
+     */
+    set value(color) {
+        throw new Error("Value of immutable color can't be changed!");
+    }
+
+    /**
+     * Create a copy of current color with the same options
+     * @returns {ImmutableColor}
+     */
+    clone() {
+        return new ImmutableColor(this._value, this._options);
+    }
+
+    /**
+     * Create mutable Color with the same value and options
+     * @returns {Color}
+     */
+    mutable() {
+        return new Color(cloneValue(this._value), this._options);
+    }
+}
+
+MUTATORS.forEach(name => {
+    ImmutableColor.prototype[name] = function (...args) {
+        const color = this.mutable();
+        if (!this._value) {
+            return;
+        }
+        color[name](...args);
+        return new ImmutableColor(color.value, this._options);
+    };
+});
@@ -1,6 +1,11 @@
 import * as Routines from "./routines";
 import { Palette, MetroColorPalette, StandardColorPalette } from "./palette.js";
-import { Color } from "./color.js";
+import { Color, ImmutableColor } from "./color.js";
+import { MaterialColorPalette } from "./palettes/material.js";
+import { TailwindColorPalette } from "./palettes/tailwind.js";
+import { OpenColorPalette } from "./palettes/open-color.js";
+import { RalColorPalette } from "./palettes/ral.js";
+import { X11ColorPalette } from "./palettes/x11.js";
 
 const Primitives = {
     ...Routines.Primitives
@@ -18,8 +23,14 @@ export {
     Palette,
     MetroColorPalette,
     StandardColorPalette,
+    MaterialColorPalette,
+    TailwindColorPalette,
+    OpenColorPalette,
+    RalColorPalette,
+    X11ColorPalette,
     Primitives,
     Color,
+    ImmutableColor,
     info
 }
 
@@ -0,0 +1,366 @@
+import {toRGB, toHEX, isColor} from "./routines.js";
+import RGB from "./primitives/rgb";
+import CMYK from "./primitives/cmyk";
+import Lab from "./primitives/lab";
+import HSV from "./primitives/hsv";
+
+/**
+ * Convert palette key to css custom property name: aliceBlue -> alice-blue, red50 -> red-50
+ * @param {string} name
+ * @returns {string}
+ */
+const toKebab = name => ("" + name)
+    .replace(/([a-z\d])([A-Z])/g, "$1-$2")
+    .replace(/([a-zA-Z])(\d)/g, "$1-$2")
+    .replace(/[\s_]+/g, "-")
+    .toLowerCase();
+
+/**
+ * Convert css custom property name to palette key: alice-blue -> aliceBlue, red-50 -> red50
+ * @param {string} name
+ * @returns {string}
+ */
+const toCamel = name => ("" + name).replace(/-+([a-z\d])/gi, (m, c) => c.toUpperCase());
+
+/**
+ * Get bytes view of binary data
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {DataView}
+ */
+const toDataView = data => {
+    if (data instanceof ArrayBuffer) {
+        return new DataView(data);
+    }
+    if (data && ArrayBuffer.isView(data)) {
+        return new DataView(data.buffer, data.byteOffset, data.byteLength);
+    }
+    throw new Error("Binary palette data must be an ArrayBuffer or typed array!");
+};
+
+/**
+ * Simple binary writer with big-endian numbers
+ */
+class BinaryWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    uint16(v) {
+        this.bytes.push((v >> 8) & 0xff, v & 0xff);
+    }
+
+    uint32(v) {
+        this.bytes.push((v >>> 24) & 0xff, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff);
+    }
+
+    float32(v) {
+        const view = new DataView(new ArrayBuffer(4));
+        view.setFloat32(0, v);
+        for (let i = 0; i < 4; i++) this.bytes.push(view.getUint8(i));
+    }
+
+    ascii(str) {
+        for (const ch of str) this.bytes.push(ch.charCodeAt(0) & 0xff);
+    }
+
+    utf16(str) {
+        for (let i = 0; i < str.length; i++) this.uint16(str.charCodeAt(i));
+    }
+
+    toUint8Array() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+/**
+ * Read UTF-16BE string, terminating zero is skipped
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length - Length in UTF-16 code units
+ * @returns {string}
+ */
+const readUtf16 = (view, offset, length) => {
+    let str = "";
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint16(offset + i * 2);
+        if (code) str += String.fromCharCode(code);
+    }
+    return str;
+};
+
+/**
+ * Read ASCII string
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+const readAscii = (view, offset, length) => {
+    let str = "";
+    for (let i = 0; i < length; i++) str += String.fromCharCode(view.getUint8(offset + i));
+    return str;
+};
+
+const exportASE = palette => {
+    const w = new BinaryWriter();
+    const names = Object.keys(palette);
+
+    w.ascii("ASEF");
+    w.uint16(1);
+    w.uint16(0);
+    w.uint32(names.length);
+
+    for (const name of names) {
+        const rgb = toRGB(palette[name]);
+        // name length, name with terminating zero, model, 3 floats, color type
+        w.uint16(0x0001);
+        w.uint32(2 + (name.length + 1) * 2 + 4 + 12 + 2);
+        w.uint16(name.length + 1);
+        w.utf16(name);
+        w.uint16(0);
+        w.ascii("RGB ");
+        w.float32(rgb.r / 255);
+        w.float32(rgb.g / 255);
+        w.float32(rgb.b / 255);
+        w.uint16(2);
+    }
+
+    return w.toUint8Array();
+};
+
+const importASE = data => {
+    const view = toDataView(data);
+    const palette = {};
+    let offset = 12, count;
+
+    if (view.byteLength < 12 || readAscii(view, 0, 4) !== "ASEF") {
+        throw new Error("Invalid ASE data!");
+    }
+
+    count = view.getUint32(8);
+
+    for (let i = 0; i < count && offset < view.byteLength; i++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+
+        if (type === 0x0001) {
+            const nameLength = view.getUint16(start);
+            const name = readUtf16(view, start + 2, nameLength);
+            const pos = start + 2 + nameLength * 2;
+            const model = readAscii(view, pos, 4).trim().toUpperCase();
+            const f = n => view.getFloat32(pos + 4 + n * 4);
+            let color;
+
+            switch (model) {
+                case "RGB":
+                    color = new RGB(...[f(0), f(1), f(2)].map(v => Math.round(v * 255)));
+                    break;
+                case "CMYK":
+                    color = new CMYK(...[f(0), f(1), f(2), f(3)].map(v => Math.round(v * 100)));
+                    break;
+                case "LAB":
+                    color = new Lab(f(0) * 100, f(1), f(2));
+                    break;
+                case "GRAY": {
+                    const g = Math.round(f(0) * 255);
+                    color = new RGB(g, g, g);
+                    break;
+                }
+                default:
+                    throw new Error("Unsupported ASE color model " + model + "!");
+            }
+
+            palette[name || "color" + (Object.keys(palette).length + 1)] = toHEX(color);
+        }
+
+        offset = start + length;
+    }
+
+    return palette;
+};
+
+const exportACO = palette => {
+    const w = new BinaryWriter();
+    const names = Object.keys(palette);
+    const colors = names.map(name => toRGB(palette[name]));
+    const writeColor = rgb => {
+        w.uint16(0);
+        w.uint16(rgb.r * 257);
+        w.uint16(rgb.g * 257);
+        w.uint16(rgb.b * 257);
+        w.uint16(0);
+    };
+
+    // Version 1 is required by old applications, version 2 adds color names
+    w.uint16(1);
+    w.uint16(names.length);
+    colors.forEach(writeColor);
+
+    w.uint16(2);
+    w.uint16(names.length);
+    colors.forEach((rgb, i) => {
+        writeColor(rgb);
+        w.uint32(names[i].length + 1);
+        w.utf16(names[i]);
+        w.uint16(0);
+    });
+
+    return w.toUint8Array();
+};
+
+const importACO = data => {
+    const view = toDataView(data);
+    const palette = {};
+    let offset = 0, version, count, colors = [];
+
+    const readColor = () => {
+        const [space, w, x, y, z] = [0, 1, 2, 3, 4].map(i => view.getUint16(offset + i * 2));
+        offset += 10;
+        switch (space) {
+            case 0:
+                return new RGB(...[w, x, y].map(v => Math.round(v / 257)));
+            case 1:
+                return new HSV(w / 65535 * 360, x / 65535, y / 65535);
+            case 2:
+                return new CMYK(...[w, x, y, z].map(v => Math.round(100 - v / 655.35)));
+            case 7:
+                return new Lab(w / 100, (x << 16 >> 16) / 100, (y << 16 >> 16) / 100);
+            case 8: {
+                const g = Math.round(255 - w / 10000 * 255);
+                return new RGB(g, g, g);
+            }
+            default:
+                throw new Error("Unsupported ACO color space " + space + "!");
+        }
+    };
+
+    while (offset + 4 <= view.byteLength) {
+        version = view.getUint16(offset);
+        count = view.getUint16(offset + 2);
+        offset += 4;
+
+        if (version !== 1 && version !== 2) {
+            throw new Error("Invalid ACO data!");
+        }
+
+        colors = [];
+        for (let i = 0; i < count; i++) {
+            const color = readColor();
+            let name;
+            if (version === 2) {
+                const length = view.getUint32(offset);
+                name = readUtf16(view, offset + 4, length);
+                offset += 4 + length * 2;
+            }
+            colors.push([name, color]);
+        }
+
+        if (version === 2) {
+            break;
+        }
+    }
+
+    colors.forEach(([name, color], i) => {
+        palette[name || "color" + (i + 1)] = toHEX(color);
+    });
+
+    return palette;
+};
+
+const exportGPL = (palette, options) => {
+    const {name = "Palette"} = options;
+    const lines = ["GIMP Palette", "Name: " + name, "Columns: 0", "#"];
+
+    for (const key in palette) {
+        const rgb = toRGB(palette[key]);
+        lines.push([rgb.r, rgb.g, rgb.b].map(v => ("" + v).padStart(3, " ")).join(" ") + "\t" + key);
+    }
+
+    return lines.join("\n") + "\n";
+};
+
+const importGPL = data => {
+    const lines = ("" + data).split(/\r?\n/);
+    const palette = {};
+
+    if (!/^GIMP Palette/.test(lines[0].trim())) {
+        throw new Error("Invalid GPL data!");
+    }
+
+    for (const line of lines.slice(1)) {
+        const match = /^\s*(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(line);
+        if (!match) continue;
+        const name = match[4].trim() || "color" + (Object.keys(palette).length + 1);
+        palette[name] = toHEX(new RGB(+match[1], +match[2], +match[3]));
+    }
+
+    return palette;
+};
+
+const exportCSS = (palette, options) => {
+    const {prefix = "", selector = ":root"} = options;
+    const lines = [];
+
+    for (const key in palette) {
+        lines.push(`    --${prefix}${toKebab(key)}: ${palette[key]};`);
+    }
+
+    return `${selector} {\n${lines.join("\n")}\n}\n`;
+};
+
+const importCSS = (data, options) => {
+    const {prefix = ""} = options;
+    const palette = {};
+    const re = /--([\w-]+)\s*:\s*([^;}]+)/g;
+    let match;
+
+    while ((match = re.exec("" + data)) !== null) {
+        let name = match[1];
+        const value = match[2].trim();
+        if (prefix && name.startsWith(prefix)) {
+            name = name.slice(prefix.length);
+        }
+        if (isColor(value)) {
+            palette[toCamel(name)] = value;
+        }
+    }
+
+    return palette;
+};
+
+/**
+ * Export palette to Adobe Swatch Exchange (ase), Photoshop swatches (aco), GIMP palette (gpl) or CSS custom properties (css).
+ * @param {Object} palette
+ * @param {string} format - ase, aco, gpl, css
+ * @param {Object} options - {name} for gpl, {prefix, selector} for css
+ * @returns {Uint8Array|string} Binary formats are returned as Uint8Array
+ */
+export const exportPalette = (palette, format, options = {}) => {
+    switch (("" + format).toLowerCase()) {
+        case "ase": return exportASE(palette);
+        case "aco": return exportACO(palette);
+        case "gpl": return exportGPL(palette, options);
+        case "css": return exportCSS(palette, options);
+        default:
+            throw new Error("Unsupported palette format " + format + "!");
+    }
+};
+
+/**
+ * Import palette from Adobe Swatch Exchange (ase), Photoshop swatches (aco), GIMP palette (gpl) or CSS custom properties (css).
+ * @param {ArrayBuffer|Uint8Array|string} data - ArrayBuffer or typed array (Node Buffer) for binary formats, string for text formats
+ * @param {string} format - ase, aco, gpl, css
+ * @param {Object} options - {prefix} for css
+ * @returns {Object} Palette object with color names as keys
+ */
+export const importPalette = (data, format, options = {}) => {
+    switch (("" + format).toLowerCase()) {
+        case "ase": return importASE(data);
+        case "aco": return importACO(data);
+        case "gpl": return importGPL(data);
+        case "css": return importCSS(data, options);
+        default:
+            throw new Error("Unsupported palette format " + format + "!");
+    }
+};
@@ -1,3 +1,6 @@
+import {deltaE} from "./routines.js";
+import {exportPalette, importPalette} from "./palette-io.js";
+
 const StandardColorPalette = {
     aliceBlue: "#f0f8ff",
     antiqueWhite: "#faebd7",
@@ -76,7 +79,7 @@ const StandardColorPalette = {
     lightSteelBlue: "#b0c4de",
     lightYellow: "#ffffe0",
     lime: "#00ff00",
-    limeGreen: "#32dc32",
+    limeGreen: "#32cd32",
     linen: "#faf0e6",
     magenta: "#ff00ff",
     maroon: "#800000",
@@ -95,7 +98,7 @@ const StandardColorPalette = {
     moccasin: "#ffe4b5",
     navajoWhite: "#ffdead",
     navy: "#000080",
-    oldLace: "#fdd5e6",
+    oldLace: "#fdf5e6",
     olive: "#808000",
     oliveDrab: "#6b8e23",
     orange: "#ffa500",
@@ -123,7 +126,7 @@ const StandardColorPalette = {
     seaShell: "#fff5ee",
     sienna: "#a0522d",
     silver: "#c0c0c0",
-    slyBlue: "#87ceeb",
+    skyBlue: "#87ceeb",
     slateBlue: "#6a5acd",
     slateGray: "#708090",
     snow: "#fffafa",
@@ -166,22 +169,207 @@ const MetroColorPalette = {
     taupe: "#87794e",
 };
 
+const nameIndexes = new WeakMap();
+
+/**
+ * Normalize color name, names are compared case-insensitive and without spaces, hyphens and underscores
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeName = name => ("" + name).toLowerCase().replace(/[\s_-]/g, "");
+
+/**
+ * Find palette key for color name. Index of normalized names is rebuilt when palette size is changed
+ * @param {string} name
+ * @param {Object} palette
+ * @returns {string|undefined}
+ */
+const findName = (name, palette) => {
+    const keys = Object.keys(palette);
+    let index = nameIndexes.get(palette);
+
+    if (palette[name] !== undefined) {
+        return name;
+    }
+
+    if (!index || index.count !== keys.length) {
+        index = {
+            count: keys.length,
+            names: new Map(keys.map(key => [normalizeName(key), key])),
+        };
+        nameIndexes.set(palette, index);
+    }
+
+    return index.names.get(normalizeName(name));
+};
+
+const registry = new Map();
+let registrations = 0;
+let resolutionOrder = [];
+
+/**
+ * Get palette object by registered name, objects are returned as is
+ * @param {string|Object} palette
+ * @returns {Object|undefined}
+ */
+const getPalette = palette => {
+    if (typeof palette !== "string") {
+        return palette;
+    }
+    const entry = registry.get(palette.toLowerCase());
+    return entry ? entry.colors : undefined;
+};
+
 const Palette = {
+    /**
+     * Register palette. Registered palette names are used to resolve color names everywhere a color string is accepted
+     * and can be addressed with namespace, e.g. "brand:primary"
+     * @param {string} name - Palette name, case-insensitive
+     * @param {Object} colors - Object with color names as keys and colors as values
+     * @param {Object} options
+     * @param {number} options.priority - Palettes with higher priority are resolved first. Default is 0
+     */
+    register: function (name, colors, options = {}) {
+        const {priority = 0} = options;
+
+        if (typeof name !== "string" || !name || name.includes(":")) {
+            throw new Error("Palette name must be a non empty string without colon!");
+        }
+        if (!colors || typeof colors !== "object") {
+            throw new Error("Palette colors must be an object!");
+        }
+
+        registry.set(name.toLowerCase(), {colors, priority, index: registrations++});
+    },
+
+    /**
+     * Remove registered palette
+     * @param {string} name
+     * @returns {boolean}
+     */
+    unregister: function (name) {
+        return registry.delete(("" + name).toLowerCase());
+    },
+
+    /**
+     * Get names of registered palettes in resolution order
+     * @returns {string[]}
+     */
+    registered: function () {
+        const position = name => {
+            const i = resolutionOrder.indexOf(name);
+            return i === -1 ? resolutionOrder.length : i;
+        };
+
+        return [...registry.entries()]
+            .sort(([a, pa], [b, pb]) => position(a) - position(b) || pb.priority - pa.priority || pa.index - pb.index)
+            .map(([name]) => name);
+    },
+
+    /**
+     * Set resolution order of registered palettes. Palettes, which are not listed, are resolved after listed palettes by priority
+     * @param {string[]} names
+     * @returns {string[]} Names of registered palettes in resolution order
+     */
+    order: function (names) {
+        if (names !== undefined) {
+            resolutionOrder = names.map(name => ("" + name).toLowerCase());
+        }
+        return Palette.registered();
+    },
+
+    /**
+     * Resolve color name in registered palettes. Name can contain palette namespace: "metro:red"
+     * @param {string} name
+     * @returns {*} Color value or undefined
+     */
+    resolve: function (name) {
+        const i = ("" + name).indexOf(":");
+
+        if (i > -1) {
+            return Palette.color(name.slice(i + 1), name.slice(0, i).trim());
+        }
+
+        for (const palette of Palette.registered()) {
+            const color = Palette.color(name, palette);
+            if (color !== undefined) {
+                return color;
+            }
+        }
+    },
+
     color: function (
         name,
         palette = StandardColorPalette,
         undefined_color = undefined
     ) {
-        return palette[name] !== undefined ? palette[name] : undefined_color;
+        const colors = getPalette(palette);
+        const key = colors ? findName(name, colors) : undefined;
+        return key !== undefined ? colors[key] : undefined_color;
+    },
+
+    /**
+     * Find the closest named color
+     * @param {*} color
+     * @param {string|Object|Array} palette - Palette, registered palette name or array of them. Default is all registered palettes
+     * @param {Object} options
+     * @param {string} options.metric - cie76, cie94, ciede2000 or ok. Default is ciede2000
+     * @returns {{name: string, palette: string|undefined, color: string, distance: number}|undefined}
+     */
+    nearest: function (color, palette = Palette.registered(), options = {}) {
+        const {metric = "ciede2000"} = options;
+        const palettes = Array.isArray(palette) ? palette : [palette];
+        let result;
+
+        for (const p of palettes) {
+            const colors = getPalette(p) || {};
+            for (const name in colors) {
+                const distance = deltaE(color, colors[name], {method: metric});
+                if (!result || distance < result.distance) {
+                    result = {name, palette: typeof p === "string" ? p : undefined, color: colors[name], distance};
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Export palette to Adobe Swatch Exchange (ase), Photoshop swatches (aco), GIMP palette (gpl) or CSS custom properties (css)
+     * @param {string|Object} palette - Palette or registered palette name
+     * @param {string} format - ase, aco, gpl, css
+     * @param {Object} options - {name} for gpl, {prefix, selector} for css
+     * @returns {Uint8Array|string}
+     */
+    export: function (palette, format, options = {}) {
+        const colors = getPalette(palette);
+        if (!colors) {
+            throw new Error("Unknown palette " + palette + "!");
+        }
+        return exportPalette(colors, format, options);
+    },
+
+    /**
+     * Import palette from Adobe Swatch Exchange (ase), Photoshop swatches (aco), GIMP palette (gpl) or CSS custom properties (css)
+     * @param {ArrayBuffer|Uint8Array|string} data
+     * @param {string} format - ase, aco, gpl, css
+     * @param {Object} options - {prefix} for css
+     * @returns {Object}
+     */
+    import: function (data, format, options = {}) {
+        return importPalette(data, format, options);
     },
 
     palette: function (palette = StandardColorPalette) {
-        return Object.keys(palette);
+        return Object.keys(getPalette(palette) || {});
     },
 
     colors: function (palette = StandardColorPalette) {
-        return Object.values(palette);
+        return Object.values(getPalette(palette) || {});
     },
 };
 
-export { StandardColorPalette, MetroColorPalette, Palette };
\ No newline at end of file
+Palette.register("standard", StandardColorPalette);
+Palette.register("metro", MetroColorPalette, {priority: -1});
+
+export { StandardColorPalette, MetroColorPalette, Palette };
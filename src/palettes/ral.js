@@ -0,0 +1,221 @@
+/**
+ * RAL Classic color palette. Keys are RAL codes: ral1000 ... ral9023.
+ * RAL colors are defined by physical samples, values are common sRGB approximations
+ */
+const RalColorPalette = {
+    ral1000: "#cdba88", // Green beige
+    ral1001: "#d0b084", // Beige
+    ral1002: "#d2aa6d", // Sand yellow
+    ral1003: "#f9a800", // Signal yellow
+    ral1004: "#e49e00", // Golden yellow
+    ral1005: "#cb8e00", // Honey yellow
+    ral1006: "#e29000", // Maize yellow
+    ral1007: "#e88c00", // Daffodil yellow
+    ral1011: "#af804f", // Brown beige
+    ral1012: "#ddaf27", // Lemon yellow
+    ral1013: "#e3d9c6", // Oyster white
+    ral1014: "#ddc49a", // Ivory
+    ral1015: "#e6d2b5", // Light ivory
+    ral1016: "#f1dd38", // Sulfur yellow
+    ral1017: "#f6a950", // Saffron yellow
+    ral1018: "#faca30", // Zinc yellow
+    ral1019: "#a48f7a", // Grey beige
+    ral1020: "#a08f65", // Olive yellow
+    ral1021: "#f6b600", // Rape yellow
+    ral1023: "#f7b500", // Traffic yellow
+    ral1024: "#ba8f4c", // Ochre yellow
+    ral1026: "#ffff00", // Luminous yellow
+    ral1027: "#a77f0e", // Curry
+    ral1028: "#ff9b00", // Melon yellow
+    ral1032: "#e2a300", // Broom yellow
+    ral1033: "#f99a1c", // Dahlia yellow
+    ral1034: "#eb9c52", // Pastel yellow
+    ral1035: "#908370", // Pearl beige
+    ral1036: "#80643f", // Pearl gold
+    ral1037: "#f09200", // Sun yellow
+    ral2000: "#da6e00", // Yellow orange
+    ral2001: "#ba481b", // Red orange
+    ral2002: "#bf3922", // Vermilion
+    ral2003: "#f67828", // Pastel orange
+    ral2004: "#e25303", // Pure orange
+    ral2005: "#ff4d06", // Luminous orange
+    ral2007: "#ffb200", // Luminous bright orange
+    ral2008: "#ed6b21", // Bright red orange
+    ral2009: "#de5307", // Traffic orange
+    ral2010: "#d05d28", // Signal orange
+    ral2011: "#e26e0e", // Deep orange
+    ral2012: "#d5654d", // Salmon orange
+    ral2013: "#923e25", // Pearl orange
+    ral3000: "#a72920", // Flame red
+    ral3001: "#9b2423", // Signal red
+    ral3002: "#9b2321", // Carmine red
+    ral3003: "#861a22", // Ruby red
+    ral3004: "#6b1c23", // Purple red
+    ral3005: "#59191f", // Wine red
+    ral3007: "#3e2022", // Black red
+    ral3009: "#6d342d", // Oxide red
+    ral3011: "#782423", // Brown red
+    ral3012: "#c5856d", // Beige red
+    ral3013: "#972e25", // Tomato red
+    ral3014: "#cb7375", // Antique pink
+    ral3015: "#d8a0a6", // Light pink
+    ral3016: "#a63d2f", // Coral red
+    ral3017: "#cb555d", // Rose
+    ral3018: "#c73f4a", // Strawberry red
+    ral3020: "#bb1e10", // Traffic red
+    ral3022: "#cf6955", // Salmon pink
+    ral3024: "#ff2d21", // Luminous red
+    ral3026: "#ff2a1b", // Luminous bright red
+    ral3027: "#ab273c", // Raspberry red
+    ral3028: "#cc2c24", // Pure red
+    ral3031: "#a63437", // Orient red
+    ral3032: "#701d23", // Pearl ruby red
+    ral3033: "#a53a2d", // Pearl pink
+    ral4001: "#816183", // Red lilac
+    ral4002: "#8d3c4b", // Red violet
+    ral4003: "#c4618c", // Heather violet
+    ral4004: "#651e38", // Claret violet
+    ral4005: "#76689a", // Blue lilac
+    ral4006: "#903373", // Traffic purple
+    ral4007: "#47243c", // Purple violet
+    ral4008: "#844c82", // Signal violet
+    ral4009: "#9d8692", // Pastel violet
+    ral4010: "#bc4077", // Telemagenta
+    ral4011: "#6e6387", // Pearl violet
+    ral4012: "#6b6b7f", // Pearl blackberry
+    ral5000: "#314f6f", // Violet blue
+    ral5001: "#0f4c64", // Green blue
+    ral5002: "#00387b", // Ultramarine blue
+    ral5003: "#1f3855", // Sapphire blue
+    ral5004: "#191e28", // Black blue
+    ral5005: "#005387", // Signal blue
+    ral5007: "#376b8c", // Brilliant blue
+    ral5008: "#2b3a44", // Grey blue
+    ral5009: "#215f78", // Azure blue
+    ral5010: "#004f7c", // Gentian blue
+    ral5011: "#1a2b3c", // Steel blue
+    ral5012: "#0089b6", // Light blue
+    ral5013: "#193153", // Cobalt blue
+    ral5014: "#637d96", // Pigeon blue
+    ral5015: "#007cb0", // Sky blue
+    ral5017: "#005b8c", // Traffic blue
+    ral5018: "#058b8c", // Turquoise blue
+    ral5019: "#005e83", // Capri blue
+    ral5020: "#00414b", // Ocean blue
+    ral5021: "#007577", // Water blue
+    ral5022: "#222d5a", // Night blue
+    ral5023: "#42698c", // Distant blue
+    ral5024: "#6093ac", // Pastel blue
+    ral5025: "#21697c", // Pearl gentian blue
+    ral5026: "#0f3052", // Pearl night blue
+    ral6000: "#3c7460", // Patina green
+    ral6001: "#366735", // Emerald green
+    ral6002: "#325928", // Leaf green
+    ral6003: "#50533c", // Olive green
+    ral6004: "#024442", // Blue green
+    ral6005: "#114232", // Moss green
+    ral6006: "#3c392e", // Grey olive
+    ral6007: "#2c3222", // Bottle green
+    ral6008: "#36342a", // Brown green
+    ral6009: "#27352a", // Fir green
+    ral6010: "#4d6f39", // Grass green
+    ral6011: "#6b7c59", // Reseda green
+    ral6012: "#2f3d3a", // Black green
+    ral6013: "#7c765a", // Reed green
+    ral6014: "#474135", // Yellow olive
+    ral6015: "#3d3d36", // Black olive
+    ral6016: "#00694c", // Turquoise green
+    ral6017: "#587f40", // May green
+    ral6018: "#60993b", // Yellow green
+    ral6019: "#b9ceac", // Pastel green
+    ral6020: "#37422f", // Chrome green
+    ral6021: "#8a9977", // Pale green
+    ral6022: "#3a3327", // Olive drab
+    ral6024: "#008351", // Traffic green
+    ral6025: "#5e6e3b", // Fern green
+    ral6026: "#005f4e", // Opal green
+    ral6027: "#7ebab5", // Light green
+    ral6028: "#315442", // Pine green
+    ral6029: "#006f3d", // Mint green
+    ral6032: "#237f52", // Signal green
+    ral6033: "#46877f", // Mint turquoise
+    ral6034: "#7aacac", // Pastel turquoise
+    ral6035: "#194d25", // Pearl dark green
+    ral6036: "#04574b", // Pearl opal green
+    ral6037: "#008b29", // Pure green
+    ral6038: "#00b51a", // Luminous green
+    ral7000: "#7a888e", // Squirrel grey
+    ral7001: "#8c979c", // Silver grey
+    ral7002: "#817863", // Olive grey
+    ral7003: "#797669", // Moss grey
+    ral7004: "#9a9b9b", // Signal grey
+    ral7005: "#6b6e6b", // Mouse grey
+    ral7006: "#766a5e", // Beige grey
+    ral7008: "#745f3d", // Khaki grey
+    ral7009: "#5d6058", // Green grey
+    ral7010: "#585c56", // Tarpaulin grey
+    ral7011: "#52595d", // Iron grey
+    ral7012: "#575d5e", // Basalt grey
+    ral7013: "#575044", // Brown grey
+    ral7015: "#4f5358", // Slate grey
+    ral7016: "#383e42", // Anthracite grey
+    ral7021: "#2f3234", // Black grey
+    ral7022: "#4c4a44", // Umbra grey
+    ral7023: "#808076", // Concrete grey
+    ral7024: "#45494e", // Graphite grey
+    ral7026: "#374345", // Granite grey
+    ral7030: "#928e85", // Stone grey
+    ral7031: "#5b686d", // Blue grey
+    ral7032: "#b5b0a1", // Pebble grey
+    ral7033: "#7f8274", // Cement grey
+    ral7034: "#92886f", // Yellow grey
+    ral7035: "#c5c7c4", // Light grey
+    ral7036: "#979392", // Platinum grey
+    ral7037: "#7a7b7a", // Dusty grey
+    ral7038: "#b0b0a9", // Agate grey
+    ral7039: "#6b665e", // Quartz grey
+    ral7040: "#989ea1", // Window grey
+    ral7042: "#8e9291", // Traffic grey A
+    ral7043: "#4f5250", // Traffic grey B
+    ral7044: "#b7b3a8", // Silk grey
+    ral7045: "#8d9295", // Telegrey 1
+    ral7046: "#7f868a", // Telegrey 2
+    ral7047: "#c8c8c7", // Telegrey 4
+    ral7048: "#817b73", // Pearl mouse grey
+    ral8000: "#89693e", // Green brown
+    ral8001: "#9d622b", // Ochre brown
+    ral8002: "#794d3e", // Signal brown
+    ral8003: "#7e4b26", // Clay brown
+    ral8004: "#8d4931", // Copper brown
+    ral8007: "#70452a", // Fawn brown
+    ral8008: "#724a25", // Olive brown
+    ral8011: "#5a3826", // Nut brown
+    ral8012: "#66332b", // Red brown
+    ral8014: "#4a3526", // Sepia brown
+    ral8015: "#5e2f26", // Chestnut brown
+    ral8016: "#4c2b20", // Mahogany brown
+    ral8017: "#442f29", // Chocolate brown
+    ral8019: "#3d3635", // Grey brown
+    ral8022: "#1a1718", // Black brown
+    ral8023: "#a45729", // Orange brown
+    ral8024: "#795038", // Beige brown
+    ral8025: "#755847", // Pale brown
+    ral8028: "#513a2a", // Terra brown
+    ral8029: "#7f4031", // Pearl copper
+    ral9001: "#e9e0d2", // Cream
+    ral9002: "#d7d5cb", // Grey white
+    ral9003: "#ecece7", // Signal white
+    ral9004: "#2b2b2c", // Signal black
+    ral9005: "#0e0e10", // Jet black
+    ral9006: "#a1a1a0", // White aluminium
+    ral9007: "#878581", // Grey aluminium
+    ral9010: "#f1ece1", // Pure white
+    ral9011: "#27292b", // Graphite black
+    ral9016: "#f1f0ea", // Traffic white
+    ral9017: "#2a292a", // Traffic black
+    ral9018: "#c8cbc4", // Papyrus white
+    ral9022: "#858583", // Pearl light grey
+    ral9023: "#797b7a", // Pearl dark grey
+};
+
+export { RalColorPalette };
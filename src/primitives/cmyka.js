@@ -0,0 +1,13 @@
+export default class CMYKA {
+    constructor(c = 0, m = 0, y = 0, k = 0, a = 0) {
+        this.c = c;
+        this.m = m;
+        this.y = y;
+        this.k = k;
+        this.a = a;
+    }
+
+    toString(){
+        return `cmyka(${this.c},${this.m},${this.y},${this.k},${parseFloat(this.a).toFixed(2)})`;
+    }
+}
@@ -0,0 +1,13 @@
+export default class HCT {
+    constructor(h = 0, c = 0, t = 0, alpha = 1) {
+        this.h = h;
+        this.c = c;
+        this.t = t;
+        this.alpha = alpha;
+    }
+
+    toString(){
+        const alpha = this.alpha < 1 ? ` / ${+this.alpha.toFixed(2)}` : "";
+        return `hct(${+this.h.toFixed(2)} ${+this.c.toFixed(2)} ${+this.t.toFixed(2)}${alpha})`;
+    }
+}
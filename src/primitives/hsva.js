@@ -0,0 +1,12 @@
+export default class HSVA {
+    constructor(h = 0, s = 0, v = 0, a = 0) {
+        this.h = h;
+        this.s = s;
+        this.v = v;
+        this.a = a;
+    }
+
+    toString(){
+        return "hsva(" + [Math.round(this.h), Math.round(this.s*100)+"%", Math.round(this.v*100)+"%", parseFloat(this.a).toFixed(2)].join(", ") + ")";
+    }
+}
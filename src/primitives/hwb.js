@@ -0,0 +1,13 @@
+export default class HWB {
+    constructor(h = 0, w = 0, b = 0, alpha = 1) {
+        this.h = h;
+        this.w = w;
+        this.b = b;
+        this.alpha = alpha;
+    }
+
+    toString(){
+        const alpha = this.alpha < 1 ? ` / ${+this.alpha.toFixed(2)}` : "";
+        return `hwb(${Math.round(this.h)} ${Math.round(this.w*100)}% ${Math.round(this.b*100)}%${alpha})`;
+    }
+}
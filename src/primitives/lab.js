@@ -0,0 +1,13 @@
+export default class Lab {
+    constructor(l = 0, a = 0, b = 0, alpha = 1) {
+        this.l = l;
+        this.a = a;
+        this.b = b;
+        this.alpha = alpha;
+    }
+
+    toString(){
+        const alpha = this.alpha < 1 ? ` / ${+this.alpha.toFixed(2)}` : "";
+        return `lab(${+this.l.toFixed(2)}% ${+this.a.toFixed(2)} ${+this.b.toFixed(2)}${alpha})`;
+    }
+}
@@ -0,0 +1,13 @@
+export default class LCH {
+    constructor(l = 0, c = 0, h = 0, alpha = 1) {
+        this.l = l;
+        this.c = c;
+        this.h = h;
+        this.alpha = alpha;
+    }
+
+    toString(){
+        const alpha = this.alpha < 1 ? ` / ${+this.alpha.toFixed(2)}` : "";
+        return `lch(${+this.l.toFixed(2)}% ${+this.c.toFixed(2)} ${+this.h.toFixed(2)}${alpha})`;
+    }
+}
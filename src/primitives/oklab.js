@@ -0,0 +1,13 @@
+export default class OKLab {
+    constructor(l = 0, a = 0, b = 0, alpha = 1) {
+        this.l = l;
+        this.a = a;
+        this.b = b;
+        this.alpha = alpha;
+    }
+
+    toString(){
+        const alpha = this.alpha < 1 ? ` / ${+this.alpha.toFixed(2)}` : "";
+        return `oklab(${+this.l.toFixed(4)} ${+this.a.toFixed(4)} ${+this.b.toFixed(4)}${alpha})`;
+    }
+}
@@ -0,0 +1,13 @@
+export default class OKLCH {
+    constructor(l = 0, c = 0, h = 0, alpha = 1) {
+        this.l = l;
+        this.c = c;
+        this.h = h;
+        this.alpha = alpha;
+    }
+
+    toString(){
+        const alpha = this.alpha < 1 ? ` / ${+this.alpha.toFixed(2)}` : "";
+        return `oklch(${+this.l.toFixed(4)} ${+this.c.toFixed(4)} ${+this.h.toFixed(2)}${alpha})`;
+    }
+}
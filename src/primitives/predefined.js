@@ -0,0 +1,12 @@
+export default class PredefinedColor {
+    constructor(space = "srgb", coords = [0, 0, 0], alpha = 1) {
+        this.space = space;
+        this.coords = coords;
+        this.alpha = alpha;
+    }
+
+    toString(){
+        const alpha = this.alpha < 1 ? ` / ${+this.alpha.toFixed(2)}` : "";
+        return `color(${this.space} ${this.coords.map(v => +v.toFixed(4)).join(" ")}${alpha})`;
+    }
+}
@@ -1,19 +1,37 @@
 import HSV from "./primitives/hsv";
 import HSL from "./primitives/hsl";
 import HSLA from "./primitives/hsla";
+import HSVA from "./primitives/hsva";
 import RGB from "./primitives/rgb";
 import RGBA from "./primitives/rgba";
 import CMYK from "./primitives/cmyk";
+import CMYKA from "./primitives/cmyka";
+import Lab from "./primitives/lab";
+import LCH from "./primitives/lch";
+import OKLab from "./primitives/oklab";
+import OKLCH from "./primitives/oklch";
+import HWB from "./primitives/hwb";
+import HCT from "./primitives/hct";
+import PredefinedColor from "./primitives/predefined";
 
-import {StandardColorPalette, MetroColorPalette} from "./palette.js";
+import {Palette} from "./palette.js";
 
 export const Primitives = {
     HSV,
+    HSVA,
     HSL,
     HSLA,
     RGB,
     RGBA,
     CMYK,
+    CMYKA,
+    Lab,
+    LCH,
+    OKLab,
+    OKLCH,
+    HWB,
+    HCT,
+    PredefinedColor,
 }
 
 export const colorTypes = {
@@ -21,9 +39,25 @@ export const colorTypes = {
     RGB: "rgb",
     RGBA: "rgba",
     HSV: "hsv",
+    HSVA: "hsva",
     HSL: "hsl",
     HSLA: "hsla",
     CMYK: "cmyk",
+    CMYKA: "cmyka",
+    LAB: "lab",
+    LCH: "lch",
+    OKLAB: "oklab",
+    OKLCH: "oklch",
+    HWB: "hwb",
+    HCT: "hct",
+    SRGB: "srgb",
+    SRGB_LINEAR: "srgb-linear",
+    DISPLAY_P3: "display-p3",
+    A98_RGB: "a98-rgb",
+    PROPHOTO_RGB: "prophoto-rgb",
+    REC2020: "rec2020",
+    XYZ_D50: "xyz-d50",
+    XYZ_D65: "xyz-d65",
     UNKNOWN: "unknown",
 };
 
@@ -41,12 +75,12 @@ export const colorDefaultProps = {
     baseDark: "self"
 };
 
-function convert(source, format) {
+function convert(source, format, alpha) {
     let result;
     switch (format) {
         case "hex":
             result = source.map(function (v) {
-                return toHEX(v);
+                return toHEX(v, alpha);
             });
             break;
         case "rgb":
@@ -56,7 +90,7 @@ function convert(source, format) {
             break;
         case "rgba":
             result = source.map(function (v) {
-                return toRGBA(v, opt.alpha);
+                return toRGBA(v, alpha);
             });
             break;
         case "hsl":
@@ -66,7 +100,17 @@ function convert(source, format) {
             break;
         case "hsla":
             result = source.map(function (v) {
-                return toHSLA(v, opt.alpha);
+                return toHSLA(v, alpha);
+            });
+            break;
+        case "hsv":
+            result = source.map(function (v) {
+                return toHSV(v);
+            });
+            break;
+        case "hsva":
+            result = source.map(function (v) {
+                return toHSVA(v, alpha);
             });
             break;
         case "cmyk":
@@ -74,8 +118,47 @@ function convert(source, format) {
                 return toCMYK(v);
             });
             break;
+        case "cmyka":
+            result = source.map(function (v) {
+                return toCMYKA(v, alpha);
+            });
+            break;
+        case "lab":
+            result = source.map(function (v) {
+                return toLab(v, alpha);
+            });
+            break;
+        case "lch":
+            result = source.map(function (v) {
+                return toLCH(v, alpha);
+            });
+            break;
+        case "oklab":
+            result = source.map(function (v) {
+                return toOKLab(v, alpha);
+            });
+            break;
+        case "oklch":
+            result = source.map(function (v) {
+                return toOKLCH(v, alpha);
+            });
+            break;
+        case "hwb":
+            result = source.map(function (v) {
+                return toHWB(v, alpha);
+            });
+            break;
+        case "hct":
+            result = source.map(function (v) {
+                return toHCT(v, alpha);
+            });
+            break;
         default:
-            result = source;
+            result = predefinedSpaces[format]
+                ? source.map(function (v) {
+                    return toColorSpace(v, format, alpha);
+                })
+                : source;
     }
 
     return result;
@@ -90,22 +173,864 @@ function toRange(a, b, c) {
 }
 
 function shift(h, s) {
-    h += s;
-    while (h >= 360.0) h -= 360.0;
-    while (h < 0.0) h += 360.0;
+    h = ((h + s) % 360.0 + 360.0) % 360.0;
     return h;
 }
 
+function multiplyMatrix(m, v) {
+    return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+function multiplyMatrix3(a, b) {
+    return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+// Matrices and white points as defined by CSS Color Module Level 4
+const SRGB_TO_XYZ = [
+    [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+    [87098 / 409605, 175762 / 245763, 12673 / 175545],
+    [7918 / 409605, 87881 / 737289, 1001167 / 1053270],
+];
+
+const XYZ_TO_SRGB = [
+    [12831 / 3959, -329 / 214, -1974 / 3959],
+    [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+    [705 / 12673, -2585 / 12673, 705 / 667],
+];
+
+const D65_TO_D50 = [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371],
+];
+
+const D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+];
+
+const D50 = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// OKLab matrices by Björn Ottosson, https://bottosson.github.io/posts/oklab/
+const LINEAR_TO_LMS = [
+    [0.4122214708, 0.5363325363, 0.0514459929],
+    [0.2119034982, 0.6806995451, 0.1073969566],
+    [0.0883024619, 0.2817188376, 0.6299787005],
+];
+
+const LMS_TO_OKLAB = [
+    [0.2104542553, 0.7936177850, -0.0040720468],
+    [1.9779984951, -2.4285922050, 0.4505937099],
+    [0.0259040371, 0.7827717662, -0.8086757660],
+];
+
+const OKLAB_TO_LMS = [
+    [1, 0.3963377774, 0.2158037573],
+    [1, -0.1055613458, -0.0638541728],
+    [1, -0.0894841775, -1.2914855480],
+];
+
+const LMS_TO_LINEAR = [
+    [4.0767416621, -3.3077115913, 0.2309699292],
+    [-1.2684380046, 2.6097574011, -0.3413193965],
+    [-0.0041960863, -0.7034186147, 1.7076147010],
+];
+
+const LAB_E = 216 / 24389;
+const LAB_K = 24389 / 27;
+
+function srgb2linear(c) {
+    const abs = Math.abs(c);
+    return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+function linear2srgb(c) {
+    const abs = Math.abs(c);
+    return abs > 0.0031308 ? Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : c * 12.92;
+}
+
+const P3_TO_XYZ = [
+    [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+    [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+    [0, 32229 / 714400, 5220557 / 5000800],
+];
+
+const XYZ_TO_P3 = [
+    [446124 / 178915, -333277 / 357830, -72051 / 178915],
+    [-14852 / 17905, 63121 / 35810, 423 / 17905],
+    [11844 / 330415, -50337 / 660830, 316169 / 330415],
+];
+
+const A98_TO_XYZ = [
+    [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+    [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+    [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835],
+];
+
+const XYZ_TO_A98 = [
+    [1829569 / 896150, -506331 / 896150, -308931 / 896150],
+    [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+    [16779 / 1248040, -147721 / 1248040, 1266979 / 1248040],
+];
+
+const PROPHOTO_TO_XYZ_D50 = [
+    [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+    [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+    [0, 0, 0.8251046025104602],
+];
+
+const XYZ_D50_TO_PROPHOTO = [
+    [1.3457868816471583, -0.25557208737979464, -0.05110186497554526],
+    [-0.5446307051249019, 1.5082477428451468, 0.02052744743642139],
+    [0, 0, 1.2119675456389452],
+];
+
+const REC2020_TO_XYZ = [
+    [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+    [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+    [0, 19567812 / 697040785, 295819943 / 278816314],
+];
+
+const XYZ_TO_REC2020 = [
+    [30757411 / 17917100, -6372589 / 17917100, -4539589 / 17917100],
+    [-19765991 / 29648200, 47925759 / 29648200, 467509 / 29648200],
+    [792561 / 44930125, -1921689 / 44930125, 42328811 / 44930125],
+];
+
+const IDENTITY = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+];
+
+const REC2020_A = 1.09929682680944;
+const REC2020_B = 0.018053968510807;
+
+/**
+ * Predefined color spaces of css color() function.
+ * Each space has transfer functions to/from linear light and matrices to/from CIE XYZ with own white point.
+ */
+const predefinedSpaces = {
+    "srgb": {
+        white: "d65",
+        toLinear: srgb2linear,
+        fromLinear: linear2srgb,
+        toXYZ: SRGB_TO_XYZ,
+        fromXYZ: XYZ_TO_SRGB,
+    },
+    "srgb-linear": {
+        white: "d65",
+        toLinear: c => c,
+        fromLinear: c => c,
+        toXYZ: SRGB_TO_XYZ,
+        fromXYZ: XYZ_TO_SRGB,
+    },
+    "display-p3": {
+        white: "d65",
+        toLinear: srgb2linear,
+        fromLinear: linear2srgb,
+        toXYZ: P3_TO_XYZ,
+        fromXYZ: XYZ_TO_P3,
+    },
+    "a98-rgb": {
+        white: "d65",
+        toLinear: c => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256),
+        fromLinear: c => Math.sign(c) * Math.pow(Math.abs(c), 256 / 563),
+        toXYZ: A98_TO_XYZ,
+        fromXYZ: XYZ_TO_A98,
+    },
+    "prophoto-rgb": {
+        white: "d50",
+        toLinear: c => Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(Math.abs(c), 1.8),
+        fromLinear: c => Math.abs(c) >= 1 / 512 ? Math.sign(c) * Math.pow(Math.abs(c), 1 / 1.8) : 16 * c,
+        toXYZ: PROPHOTO_TO_XYZ_D50,
+        fromXYZ: XYZ_D50_TO_PROPHOTO,
+    },
+    "rec2020": {
+        white: "d65",
+        toLinear: c => Math.abs(c) < REC2020_B * 4.5
+            ? c / 4.5
+            : Math.sign(c) * Math.pow((Math.abs(c) + REC2020_A - 1) / REC2020_A, 1 / 0.45),
+        fromLinear: c => Math.abs(c) > REC2020_B
+            ? Math.sign(c) * (REC2020_A * Math.pow(Math.abs(c), 0.45) - (REC2020_A - 1))
+            : 4.5 * c,
+        toXYZ: REC2020_TO_XYZ,
+        fromXYZ: XYZ_TO_REC2020,
+    },
+    "xyz-d65": {
+        white: "d65",
+        toLinear: c => c,
+        fromLinear: c => c,
+        toXYZ: IDENTITY,
+        fromXYZ: IDENTITY,
+    },
+    "xyz-d50": {
+        white: "d50",
+        toLinear: c => c,
+        fromLinear: c => c,
+        toXYZ: IDENTITY,
+        fromXYZ: IDENTITY,
+    },
+};
+
+/**
+ * Normalize name of predefined color space, "xyz" is an alias for "xyz-d65"
+ * @param {string} space
+ * @returns {string}
+ */
+function spaceName(space) {
+    space = ("" + space).toLowerCase();
+    return space === "xyz" ? "xyz-d65" : space;
+}
+
+/**
+ * Convert coordinates of predefined color space to CIE XYZ (D65)
+ * @param {string} space
+ * @param {number[]} coords
+ * @returns {number[]}
+ */
+function space2xyz(space, coords) {
+    const def = predefinedSpaces[space];
+    const xyz = multiplyMatrix(def.toXYZ, coords.map(def.toLinear));
+    return def.white === "d50" ? multiplyMatrix(D50_TO_D65, xyz) : xyz;
+}
+
+/**
+ * Convert CIE XYZ (D65) to coordinates of predefined color space. Values are not clipped.
+ * @param {string} space
+ * @param {number[]} xyz
+ * @returns {number[]}
+ */
+function xyz2space(space, xyz) {
+    const def = predefinedSpaces[space];
+    if (def.white === "d50") xyz = multiplyMatrix(D65_TO_D50, xyz);
+    return multiplyMatrix(def.fromXYZ, xyz).map(def.fromLinear);
+}
+
+/**
+ * Convert RGB to CIE XYZ (D65), values are in range 0...1
+ * @param {RGB} rgb
+ * @returns {number[]}
+ */
+function rgb2xyz(rgb) {
+    return multiplyMatrix(SRGB_TO_XYZ, [rgb.r, rgb.g, rgb.b].map(v => srgb2linear(v / 255)));
+}
+
+/**
+ * Convert CIE XYZ (D65) to CIE Lab (D50)
+ * @param {number[]} xyz
+ * @returns {Lab}
+ */
+function xyz2lab(xyz) {
+    const d50 = multiplyMatrix(D65_TO_D50, xyz).map((v, i) => v / D50[i]);
+    const [fx, fy, fz] = d50.map(v => v > LAB_E ? Math.cbrt(v) : (LAB_K * v + 16) / 116);
+
+    return new Lab(116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz));
+}
+
+/**
+ * Convert CIE Lab (D50) to CIE XYZ (D65)
+ * @param {Lab} lab
+ * @returns {number[]}
+ */
+function lab2xyz(lab) {
+    const fy = (lab.l + 16) / 116;
+    const fx = lab.a / 500 + fy;
+    const fz = fy - lab.b / 200;
+    const d50 = [
+        Math.pow(fx, 3) > LAB_E ? Math.pow(fx, 3) : (116 * fx - 16) / LAB_K,
+        lab.l > LAB_K * LAB_E ? Math.pow(fy, 3) : lab.l / LAB_K,
+        Math.pow(fz, 3) > LAB_E ? Math.pow(fz, 3) : (116 * fz - 16) / LAB_K,
+    ].map((v, i) => v * D50[i]);
+
+    return multiplyMatrix(D50_TO_D65, d50);
+}
+
+/**
+ * Convert CIE XYZ (D65) to OKLab
+ * @param {number[]} xyz
+ * @returns {OKLab}
+ */
+function xyz2oklab(xyz) {
+    const lms = multiplyMatrix(LINEAR_TO_LMS, multiplyMatrix(XYZ_TO_SRGB, xyz)).map(v => Math.cbrt(v));
+
+    return new OKLab(...multiplyMatrix(LMS_TO_OKLAB, lms));
+}
+
+/**
+ * Convert OKLab to CIE XYZ (D65)
+ * @param {OKLab} oklab
+ * @returns {number[]}
+ */
+function oklab2xyz(oklab) {
+    const lms = multiplyMatrix(OKLAB_TO_LMS, [oklab.l, oklab.a, oklab.b]).map(v => v * v * v);
+
+    return multiplyMatrix(SRGB_TO_XYZ, multiplyMatrix(LMS_TO_LINEAR, lms));
+}
+
+/**
+ * Convert any supported color to CIE XYZ (D65) without loss of precision for wide gamut colors
+ * @param {*} color
+ * @returns {number[]}
+ */
+function toXYZ(color) {
+    color = parseColor(color);
+    if (isLab(color)) return lab2xyz(color);
+    if (isLCH(color)) return lab2xyz(lch2lab(color));
+    if (isOKLab(color)) return oklab2xyz(color);
+    if (isOKLCH(color)) return oklab2xyz(oklch2oklab(color));
+    if (isPredefinedColor(color)) return space2xyz(color.space, color.coords);
+    return rgb2xyz(toRGB(color));
+}
+
+/**
+ * Convert linear-light sRGB values to RGB, out of gamut values are clipped
+ * @param {number[]} linear
+ * @returns {RGB}
+ */
+function linear2rgb(linear) {
+    return new RGB(...linear.map(v => Math.round(clamp(linear2srgb(v), 0, 1) * 255)));
+}
+
+/**
+ * Convert CIE XYZ (D65) to RGB, out of gamut values are clipped
+ * @param {number[]} xyz
+ * @returns {RGB}
+ */
+function xyz2rgb(xyz) {
+    return linear2rgb(multiplyMatrix(XYZ_TO_SRGB, xyz));
+}
+
+// CAM16 and HCT as defined by Material Color Utilities (https://github.com/material-foundation/material-color-utilities)
+// Material uses own rounded sRGB matrices, they are kept to match reference colors exactly
+const HCT_SRGB_TO_XYZ = [
+    [0.41233895, 0.35762064, 0.18051042],
+    [0.2126, 0.7152, 0.0722],
+    [0.01932141, 0.11916382, 0.95034478],
+];
+
+const HCT_XYZ_TO_SRGB = [
+    [3.2413774792388685, -1.5376652402851851, -0.49885366846268053],
+    [-0.9691452513005321, 1.8758853451067872, 0.04156585616912061],
+    [0.05562093689691305, -0.20395524564742123, 1.0571799111220335],
+];
+
+const CAT16 = [
+    [0.401288, 0.650173, -0.051461],
+    [-0.250268, 1.204414, 0.045854],
+    [-0.002079, 0.048952, 0.953127],
+];
+
+const CAT16_INVERSE = [
+    [1.86206786, -1.01125463, 0.14918677],
+    [0.38752654, 0.62144744, -0.00897398],
+    [-0.0158415, -0.03412294, 1.04996444],
+];
+
+/**
+ * Convert CIE L* to relative luminance Y, values are in range 0...100
+ * @param {number} lstar
+ * @returns {number}
+ */
+function lstar2y(lstar) {
+    const ft = (lstar + 16) / 116;
+    return 100 * (ft * ft * ft > LAB_E ? ft * ft * ft : (116 * ft - 16) / LAB_K);
+}
+
+/**
+ * Convert relative luminance Y to CIE L*, values are in range 0...100
+ * @param {number} y
+ * @returns {number}
+ */
+function y2lstar(y) {
+    y = y / 100;
+    return 116 * (y > LAB_E ? Math.cbrt(y) : (LAB_K * y + 16) / 116) - 16;
+}
+
+/**
+ * Default CAM16 viewing conditions of Material Design:
+ * D65 white point, adapting luminance of 200 / PI * Y(L* 50), background L* 50, average surround
+ * @returns {Object}
+ */
+function cam16ViewingConditions() {
+    const white = [95.047, 100, 108.883];
+    const la = 200 / Math.PI * lstar2y(50) / 100;
+    const f = 1;
+    const c = 0.69;
+    const d = clamp(f * (1 - 1 / 3.6 * Math.exp((-la - 42) / 92)), 0, 1);
+    const rgbW = multiplyMatrix(CAT16, white);
+    const rgbD = rgbW.map(v => d * 100 / v + 1 - d);
+    const k = 1 / (5 * la + 1);
+    const k4 = k * k * k * k;
+    const fl = k4 * la + 0.1 * (1 - k4) * (1 - k4) * Math.cbrt(5 * la);
+    const n = lstar2y(50) / white[1];
+    const z = 1.48 + Math.sqrt(n);
+    const nbb = 0.725 / Math.pow(n, 0.2);
+    const rgbA = rgbW.map((v, i) => {
+        const af = Math.pow(fl * rgbD[i] * v / 100, 0.42);
+        return 400 * af / (af + 27.13);
+    });
+    const aw = (2 * rgbA[0] + rgbA[1] + 0.05 * rgbA[2]) * nbb;
+
+    return {n, aw, nbb, ncb: nbb, c, nc: f, fl, z, rgbD};
+}
+
+const CAM16_VC = cam16ViewingConditions();
+
+// Linear sRGB (0...100) to cone responses scaled with discounting and luminance level adaptation factor
+const CAM16_SCALED_FROM_LINEAR = multiplyMatrix3(CAT16, HCT_SRGB_TO_XYZ)
+    .map((row, i) => row.map(v => v * CAM16_VC.rgbD[i] * CAM16_VC.fl / 100));
+
+const CAM16_LINEAR_FROM_SCALED = multiplyMatrix3(HCT_XYZ_TO_SRGB, CAT16_INVERSE)
+    .map(row => row.map((v, j) => v * 100 / (CAM16_VC.rgbD[j] * CAM16_VC.fl)));
+
+// Linear sRGB values (0...100) of planes where sRGB channel value becomes half integer
+const CAM16_CRITICAL_PLANES = Array.from({length: 255}, (v, i) => srgb2linear((i + 0.5) / 255) * 100);
+
+function cam16Adapt(v) {
+    const af = Math.pow(Math.abs(v), 0.42);
+    return Math.sign(v) * 400 * af / (af + 27.13);
+}
+
+function cam16Unadapt(v) {
+    const abs = Math.abs(v);
+    return Math.sign(v) * Math.pow(Math.max(0, 27.13 * abs / (400 - abs)), 1 / 0.42);
+}
+
+/**
+ * Get CAM16 hue and chroma of linear sRGB color
+ * @param {number[]} linear - Linear sRGB values in range 0...100
+ * @returns {{h: number, c: number}}
+ */
+function linear2cam16(linear) {
+    const vc = CAM16_VC;
+    const [rA, gA, bA] = multiplyMatrix(CAM16_SCALED_FROM_LINEAR, linear).map(cam16Adapt);
+    const a = (11 * rA - 12 * gA + bA) / 11;
+    const b = (rA + gA - 2 * bA) / 9;
+    const u = (20 * rA + 20 * gA + 21 * bA) / 20;
+    const p2 = (40 * rA + 20 * gA + bA) / 20;
+    const h = shift(Math.atan2(b, a) * 180 / Math.PI, 0);
+    const j = 100 * Math.pow(p2 * vc.nbb / vc.aw, vc.c * vc.z);
+    const eHue = 0.25 * (Math.cos((h < 20.14 ? h + 360 : h) * Math.PI / 180 + 2) + 3.8);
+    const t = 50000 / 13 * eHue * vc.nc * vc.ncb * Math.sqrt(a * a + b * b) / (u + 0.305);
+    const alpha = Math.pow(t, 0.9) * Math.pow(1.64 - Math.pow(0.29, vc.n), 0.73);
+
+    return {h, c: alpha * Math.sqrt(j / 100)};
+}
+
+/**
+ * Get hue angle in radians of linear sRGB color in CAM16 a, b plane
+ * @param {number[]} linear
+ * @returns {number}
+ */
+function cam16HueRadians(linear) {
+    const [rA, gA, bA] = multiplyMatrix(CAM16_SCALED_FROM_LINEAR, linear).map(cam16Adapt);
+    return Math.atan2((rA + gA - 2 * bA) / 9, (11 * rA - 12 * gA + bA) / 11);
+}
+
+function sanitizeRadians(angle) {
+    return (angle + Math.PI * 8) % (Math.PI * 2);
+}
+
+function inCyclicOrder(a, b, c) {
+    return sanitizeRadians(b - a) < sanitizeRadians(c - a);
+}
+
+/**
+ * Find linear sRGB color with specified CAM16 hue and chroma and relative luminance with Newton's method
+ * @param {number} hue - Hue in radians
+ * @param {number} chroma
+ * @param {number} y
+ * @returns {number[]|undefined} Linear sRGB values in range 0...100 or undefined when color is out of sRGB gamut
+ */
+function cam16FindByJ(hue, chroma, y) {
+    const vc = CAM16_VC;
+    const tInner = 1 / Math.pow(1.64 - Math.pow(0.29, vc.n), 0.73);
+    const eHue = 0.25 * (Math.cos(hue + 2) + 3.8);
+    const p1 = eHue * (50000 / 13) * vc.nc * vc.ncb;
+    const hSin = Math.sin(hue);
+    const hCos = Math.cos(hue);
+    let j = Math.sqrt(y) * 11;
+
+    for (let i = 0; i < 5; i++) {
+        const jn = j / 100;
+        const alpha = chroma === 0 || j === 0 ? 0 : chroma / Math.sqrt(jn);
+        const t = Math.pow(alpha * tInner, 1 / 0.9);
+        const p2 = vc.aw * Math.pow(jn, 1 / vc.c / vc.z) / vc.nbb;
+        const gamma = 23 * (p2 + 0.305) * t / (23 * p1 + 11 * t * hCos + 108 * t * hSin);
+        const a = gamma * hCos;
+        const b = gamma * hSin;
+        const linear = multiplyMatrix(CAM16_LINEAR_FROM_SCALED, [
+            (460 * p2 + 451 * a + 288 * b) / 1403,
+            (460 * p2 - 891 * a - 261 * b) / 1403,
+            (460 * p2 - 220 * a - 6300 * b) / 1403,
+        ].map(cam16Unadapt));
+
+        if (linear.some(v => v < 0)) return;
+
+        const fnj = multiplyMatrix([HCT_SRGB_TO_XYZ[1]], linear)[0];
+
+        if (fnj <= 0) return;
+
+        if (i === 4 || Math.abs(fnj - y) < 0.002) {
+            return linear.some(v => v > 100.01) ? undefined : linear;
+        }
+
+        // Newton's method with 2 * fn(j) / j as approximation of fn'(j)
+        j = j - (fnj - y) * j / (2 * fnj);
+    }
+}
+
+/**
+ * Get vertex of the plane of constant relative luminance y with the edges of linear sRGB cube
+ * @param {number} y
+ * @param {number} n - Number of the cube edge, 0...11
+ * @returns {number[]|undefined}
+ */
+function cam16Vertex(y, n) {
+    const [kR, kG, kB] = HCT_SRGB_TO_XYZ[1];
+    const coordA = n % 4 <= 1 ? 0 : 100;
+    const coordB = n % 2 === 0 ? 0 : 100;
+    let result;
+
+    if (n < 4) {
+        result = [(y - coordA * kG - coordB * kB) / kR, coordA, coordB];
+    } else if (n < 8) {
+        result = [coordB, (y - coordB * kR - coordA * kB) / kG, coordA];
+    } else {
+        result = [coordA, coordB, (y - coordA * kR - coordB * kG) / kB];
+    }
+
+    return result.every(v => v >= 0 && v <= 100) ? result : undefined;
+}
+
+/**
+ * Find the most chromatic linear sRGB color with specified CAM16 hue and relative luminance
+ * @param {number} y
+ * @param {number} hue - Hue in radians
+ * @returns {number[]}
+ */
+function cam16BisectToLimit(y, hue) {
+    let left, right, leftHue, rightHue, uncut = true;
+
+    // Find segment of the luminance plane boundary which contains target hue
+    for (let n = 0; n < 12; n++) {
+        const mid = cam16Vertex(y, n);
+        if (!mid) continue;
+        const midHue = cam16HueRadians(mid);
+        if (!left) {
+            left = right = mid;
+            leftHue = rightHue = midHue;
+            continue;
+        }
+        if (uncut || inCyclicOrder(leftHue, midHue, rightHue)) {
+            uncut = false;
+            if (inCyclicOrder(leftHue, hue, midHue)) {
+                right = mid;
+                rightHue = midHue;
+            } else {
+                left = mid;
+                leftHue = midHue;
+            }
+        }
+    }
+
+    const delinearized = v => linear2srgb(v / 100) * 255;
+
+    // Bisect the segment by critical planes of each channel
+    for (let axis = 0; axis < 3; axis++) {
+        if (left[axis] === right[axis]) continue;
+
+        let lPlane, rPlane;
+
+        if (left[axis] < right[axis]) {
+            lPlane = Math.floor(delinearized(left[axis]) - 0.5);
+            rPlane = Math.ceil(delinearized(right[axis]) - 0.5);
+        } else {
+            lPlane = Math.ceil(delinearized(left[axis]) - 0.5);
+            rPlane = Math.floor(delinearized(right[axis]) - 0.5);
+        }
+
+        for (let i = 0; i < 8 && Math.abs(rPlane - lPlane) > 1; i++) {
+            const mPlane = Math.floor((lPlane + rPlane) / 2);
+            const t = (CAM16_CRITICAL_PLANES[mPlane] - left[axis]) / (right[axis] - left[axis]);
+            const mid = left.map((v, k) => v + (right[k] - v) * t);
+            const midHue = cam16HueRadians(mid);
+
+            if (inCyclicOrder(leftHue, hue, midHue)) {
+                right = mid;
+                rPlane = mPlane;
+            } else {
+                left = mid;
+                leftHue = midHue;
+                lPlane = mPlane;
+            }
+        }
+    }
+
+    return left.map((v, k) => (v + right[k]) / 2);
+}
+
+const angleUnits = {
+    deg: 1,
+    grad: 0.9,
+    rad: 180 / Math.PI,
+    turn: 360,
+};
+
+/**
+ * Split arguments of css color function to tokens
+ * @param {string} str
+ * @returns {Array|undefined}
+ */
+function tokenize(str) {
+    const re = /\s*(?:(,)|(\/)|([+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?|([a-z][a-z\d-]*))\s*/giy;
+    const tokens = [];
+    let match;
+
+    str = str.trim();
+
+    while (re.lastIndex < str.length) {
+        match = re.exec(str);
+        if (!match) return;
+        if (match[1]) {
+            tokens.push({type: "comma"});
+        } else if (match[2]) {
+            tokens.push({type: "slash"});
+        } else if (match[3]) {
+            tokens.push({type: "number", value: parseFloat(match[3]), unit: (match[4] || "").toLowerCase()});
+        } else if (match[5].toLowerCase() === "none") {
+            tokens.push({type: "none"});
+        } else {
+            tokens.push({type: "ident", value: match[5].toLowerCase()});
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse css color function, like rgb(255 0 0 / 50%) or hsl(120deg, 50%, 40%)
+ * @param {string} str
+ * @returns {{name: string, args: Array, alpha: Object, legacy: boolean}|undefined}
+ */
+function parseFunction(str) {
+    const match = /^([a-z-]+)\((.*)\)$/i.exec(str.trim());
+    let tokens, args, alpha, slash;
+
+    if (!match) return;
+
+    tokens = tokenize(match[2]);
+
+    if (!tokens || !tokens.length) return;
+
+    if (tokens.some(t => t.type === "comma")) {
+        // Legacy syntax: value, value, value[, alpha]
+        args = tokens.filter((t, i) => i % 2 === 0);
+        if (tokens.length % 2 === 0 || tokens.some((t, i) => (i % 2 === 1) !== (t.type === "comma"))) return;
+        if (args.some(t => t.type !== "number")) return;
+        return {name: match[1].toLowerCase(), args, alpha: undefined, legacy: true};
+    }
+
+    slash = tokens.findIndex(t => t.type === "slash");
+    args = slash === -1 ? tokens : tokens.slice(0, slash);
+    if (slash !== -1) {
+        if (slash !== tokens.length - 2) return;
+        alpha = tokens[slash + 1];
+    }
+    if (args.some(t => t.type === "slash") || (alpha && !["number", "none"].includes(alpha.type))) return;
+
+    return {name: match[1].toLowerCase(), args, alpha, legacy: false};
+}
+
+/**
+ * Get numeric value of token. Percentages are scaled to percentScale, none is 0, infinite numbers are NaN.
+ * @param {Object} token
+ * @param {number} percentScale
+ * @returns {number}
+ */
+function tokenValue(token, percentScale = 100) {
+    if (!token || token.type === "none") return token ? 0 : NaN;
+    if (token.type !== "number" || !Number.isFinite(token.value)) return NaN;
+    if (token.unit === "%") return token.value * percentScale / 100;
+    return token.unit ? NaN : token.value;
+}
+
+/**
+ * Get angle value of token in degrees
+ * @param {Object} token
+ * @returns {number}
+ */
+function tokenAngle(token) {
+    let h;
+    if (!token || token.type === "none") return token ? 0 : NaN;
+    if (token.type !== "number" || token.unit === "%" || !Number.isFinite(token.value)) return NaN;
+    if (token.unit && !angleUnits[token.unit]) return NaN;
+    h = token.value * (token.unit ? angleUnits[token.unit] : 1);
+    return shift(h, 0);
+}
+
+/**
+ * Get alpha value of token, result is clamped to 0...1
+ * @param {Object} token
+ * @returns {number}
+ */
+function tokenAlpha(token) {
+    return token === undefined ? 1 : clamp(tokenValue(token, 1), 0, 1);
+}
+
+/**
+ * Create color primitive from parsed css function
+ * @param {{name: string, args: Array, alpha: Object, legacy: boolean}} fn
+ * @returns {RGB|RGBA|HSV|HSL|HSLA|CMYK|Lab|LCH|OKLab|OKLCH|HWB|HCT|PredefinedColor|undefined}
+ */
+function functionToColor(fn) {
+    const {name, args, legacy} = fn;
+    let alpha = fn.alpha, values, result;
+
+    switch (name) {
+        case "rgb":
+        case "rgba": {
+            if (args.length < 3 || args.length > (legacy ? 4 : 3)) return;
+            if (legacy) alpha = args[3];
+            // Legacy syntax requires all channels to be numbers or all to be percentages
+            if (legacy && args.slice(0, 3).some(t => (t.unit === "%") !== (args[0].unit === "%"))) return;
+            values = args.slice(0, 3).map(t => Math.round(clamp(tokenValue(t, 255), 0, 255)));
+            result = alpha === undefined && name === "rgb"
+                ? new RGB(...values)
+                : new RGBA(...values, tokenAlpha(alpha));
+            break;
+        }
+        case "hsl":
+        case "hsla":
+        case "hsv":
+        case "hsva": {
+            if (args.length < 3 || args.length > (legacy ? 4 : 3)) return;
+            if (legacy) alpha = args[3];
+            values = [
+                tokenAngle(args[0]),
+                clamp(tokenValue(args[1], 100), 0, 100) / 100,
+                clamp(tokenValue(args[2], 100), 0, 100) / 100,
+            ];
+            if (name === "hsv" || name === "hsva") {
+                result = alpha === undefined && name === "hsv"
+                    ? new HSV(...values)
+                    : new HSVA(...values, tokenAlpha(alpha));
+            } else {
+                result = alpha === undefined && name === "hsl"
+                    ? new HSL(...values)
+                    : new HSLA(...values, tokenAlpha(alpha));
+            }
+            break;
+        }
+        case "cmyk":
+        case "cmyka":
+        case "device-cmyk": {
+            if (args.length < 4 || args.length > (legacy ? 5 : 4)) return;
+            if (legacy) alpha = args[4];
+            values = args.slice(0, 4).map(t => {
+                const v = tokenValue(t, 100);
+                return clamp(name === "device-cmyk" && t.unit !== "%" ? v * 100 : v, 0, 100);
+            });
+            result = alpha === undefined && name !== "cmyka"
+                ? new CMYK(...values)
+                : new CMYKA(...values, tokenAlpha(alpha));
+            break;
+        }
+        case "lab":
+        case "lch": {
+            if (legacy || args.length !== 3) return;
+            values = [
+                clamp(tokenValue(args[0], 100), 0, 100),
+                name === "lab" ? tokenValue(args[1], 125) : Math.max(0, tokenValue(args[1], 150)),
+                name === "lab" ? tokenValue(args[2], 125) : tokenAngle(args[2]),
+            ];
+            result = name === "lab"
+                ? new Lab(...values, tokenAlpha(alpha))
+                : new LCH(...values, tokenAlpha(alpha));
+            break;
+        }
+        case "oklab":
+        case "oklch": {
+            if (legacy || args.length !== 3) return;
+            values = [
+                clamp(tokenValue(args[0], 1), 0, 1),
+                name === "oklab" ? tokenValue(args[1], 0.4) : Math.max(0, tokenValue(args[1], 0.4)),
+                name === "oklab" ? tokenValue(args[2], 0.4) : tokenAngle(args[2]),
+            ];
+            result = name === "oklab"
+                ? new OKLab(...values, tokenAlpha(alpha))
+                : new OKLCH(...values, tokenAlpha(alpha));
+            break;
+        }
+        case "hwb": {
+            if (legacy || args.length !== 3) return;
+            values = [
+                tokenAngle(args[0]),
+                clamp(tokenValue(args[1], 100), 0, 100) / 100,
+                clamp(tokenValue(args[2], 100), 0, 100) / 100,
+            ];
+            result = new HWB(...values, tokenAlpha(alpha));
+            break;
+        }
+        case "hct": {
+            if (legacy || args.length !== 3) return;
+            values = [tokenAngle(args[0]), tokenValue(args[1], 1), tokenValue(args[2], 100)];
+            if (values.some(v => isNaN(v))) return;
+            result = new HCT(values[0], Math.max(0, values[1]), clamp(values[2], 0, 100), tokenAlpha(alpha));
+            break;
+        }
+        case "color": {
+            const space = args[0] && args[0].type === "ident" ? spaceName(args[0].value) : undefined;
+            if (legacy || args.length !== 4 || !predefinedSpaces[space]) return;
+            values = args.slice(1).map(t => tokenValue(t, 1));
+            if (values.some(v => isNaN(v))) return;
+            result = new PredefinedColor(space, values, tokenAlpha(alpha));
+            break;
+        }
+        default:
+            return;
+    }
+
+    return Object.values(result).some(v => typeof v === "number" && isNaN(v)) ? undefined : result;
+}
+
+/**
+ * Check if value is an instance of one of the color primitives
+ * @param {*} color
+ * @returns {boolean}
+ */
+function isPrimitive(color) {
+    return Object.values(Primitives).some(P => color instanceof P);
+}
+
+/**
+ * Get alpha channel value of color, colors without alpha channel are opaque
+ * @param {*} color
+ * @returns {number}
+ */
+export const getAlpha = color => {
+    color = parseColor(color);
+    if (typeof color === "string") {
+        return /^#([0-9a-f]{4}|[0-9a-f]{8})$/i.test(color)
+            ? Math.round(parseInt(expandHexColor(color).slice(7), 16) / 255 * 1000) / 1000
+            : 1;
+    }
+    if (color instanceof RGBA || color instanceof HSLA || color instanceof HSVA || color instanceof CMYKA) return color.a;
+    if (color && typeof color.alpha === "number") return color.alpha;
+    return 1;
+};
+
+/**
+ * Check if string is a supported color value
+ * @param {string} color
+ * @returns {boolean}
+ */
 export const test = (color) => {
-    const _isHEX = color => /^#([A-Fa-f0-9]{3}){1,2}$/.test(color);
-    const _isRGB = color => /^rgb\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)$/.test(color);
-    const _isRGBA = color => /^rgba\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*,\s*(0(\.\d+)?|1(\.0+)?)\s*\)$/.test(color);
-    const _isHSV = color => /^hsv\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)$/.test(color);
-    const _isHSL = color => /^hsl\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)$/.test(color);
-    const _isHSLA = color => /^hsla\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*,\s*(0(\.\d+)?|1(\.0+)?)\s*\)$/.test(color);
-    const _isCMYK = color => /^cmyk\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)$/.test(color);
+    const parsed = parseColor(color);
 
-    return _isHEX(color) || _isRGB(color) || _isHSV(color) || _isHSLA(color) || _isHSLA(color) || _isRGBA(color) || _isHSL(color) || _isCMYK(color);
+    return typeof parsed === "string" ? isHEX(parsed) : isPrimitive(parsed);
 }
 
 /**
@@ -115,11 +1040,7 @@ export const test = (color) => {
  * @returns {RGB|RGBA|HSV|HSL|HSLA|CMYK|undefined}
  */
 export const createColor = (colorType = "hex", from = "#000000") => {
-    let baseColor;
-
-    if (typeof from === "string") {
-        baseColor = parseColor(from);
-    }
+    let baseColor = parseColor(from);
 
     if (!isColor(baseColor)) {
         baseColor = "#000000";
@@ -136,46 +1057,271 @@ export const create = createColor
  * @returns {string}
  */
 export const expandHexColor = function (hex) {
-    if (isColor(hex) && typeof hex !== "string") {
+    if (typeof hex !== "string" && isColor(hex)) {
         return hex;
     }
     if (typeof hex !== "string") {
         throw new Error("Value is not a string!");
     }
-    if (hex[0] === "#" && hex.length === 4) {
-        const shorthandRegex = /^#?([a-f\d])([a-f\d])([a-f\d])$/i;
-        return (
-            "#" +
-            hex.replace(shorthandRegex, (m, r, g, b) => {
-                return r + r + g + g + b + b;
-            })
-        );
+    if (hex[0] === "#" && (hex.length === 4 || hex.length === 5)) {
+        const shorthandRegex = /^#?([a-f\d])([a-f\d])([a-f\d])([a-f\d])?$/i;
+        return (
+            "#" +
+            hex.replace(shorthandRegex, (m, r, g, b, a) => {
+                return r + r + g + g + b + b + (a ? a + a : "");
+            })
+        );
+    }
+    return hex[0] === "#" ? hex : "#" + hex;
+};
+
+export const expand = expandHexColor
+
+/**
+ * Check if specified color is dark
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isDark = color => {
+    color = parseColor(color)
+    if (!isColor(color)) return;
+    const rgb = toRGB(color);
+    const YIQ = (rgb.r * 299 + rgb.g * 587 + rgb.b * 114) / 1000;
+    return YIQ < 128;
+};
+
+/**
+ * Check if specified color is light
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isLight = color => {
+    return !isDark(color);
+};
+
+/**
+ * Get WCAG relative luminance of color
+ * @param {*} color
+ * @returns {number} Value between 0 (black) and 1 (white)
+ */
+export const luminance = color => {
+    const rgb = toRGB(color);
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(v => srgb2linear(v / 255));
+
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * Get WCAG 2.x contrast ratio between two colors
+ * @param {*} color1
+ * @param {*} color2
+ * @returns {number} Value between 1 and 21
+ */
+export const contrast = (color1, color2) => {
+    const l1 = luminance(color1);
+    const l2 = luminance(color2);
+
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+};
+
+/**
+ * Check if text color is readable on background color according to WCAG 2.x
+ * @param {*} color - Text color
+ * @param {*} background - Background color
+ * @param {Object} options
+ * @param {string} options.level - AA or AAA. Default is AA
+ * @param {string} options.size - normal or large. Default is normal
+ * @returns {boolean}
+ */
+export const isReadable = (color, background, options = {}) => {
+    const {level = "AA", size = "normal"} = options;
+    const large = size === "large";
+    const ratio = ("" + level).toUpperCase() === "AAA" ? (large ? 4.5 : 7) : (large ? 3 : 4.5);
+
+    return contrast(color, background) >= ratio;
+};
+
+/**
+ * Find the nearest color with required WCAG contrast ratio on background.
+ * Search goes along lightness in specified color space, hue is preserved and chroma is reduced only when needed to stay in sRGB gamut.
+ * Translucent color is composited over background before measuring contrast, alpha of background is ignored.
+ * @param {*} color
+ * @param {*} background
+ * @param {Object} options
+ * @param {number} options.ratio - Required contrast ratio. Default is 4.5
+ * @param {string} options.space - Color space for lightness search: hsl, lch or oklch. Default is oklch
+ * @param {string} options.direction - auto, lighter or darker. Default is auto
+ * @returns {*} Color in the type of the source color or null, if required contrast is impossible
+ */
+export const ensureContrast = (color, background, options = {}) => {
+    const {ratio = 4.5, space = "oklch", direction = "auto"} = options;
+    const type = colorType(color);
+    const maxL = space === "lch" ? 100 : 1;
+    const alpha = getAlpha(color);
+    let base, candidates = [];
+
+    if (!["hsl", "lch", "oklch"].includes(space)) {
+        throw new Error("Unsupported color space " + space + "!");
+    }
+
+    // Contrast of color as it is visible on the background
+    const measure = c => contrast(alpha < 1 ? blend(fade(c, alpha), background) : c, background);
+
+    if (measure(color) >= ratio) {
+        return parseColor(color);
+    }
+
+    base = toColor(color, space, 1);
+
+    const make = l => {
+        return space === "hsl"
+            ? new HSL(base.h, base.s, l)
+            : toGamut(new base.constructor(l, base.c, base.h), "srgb");
+    };
+
+    const search = end => {
+        let lo = base.l, hi = end, mid;
+
+        if (measure(make(end)) < ratio) {
+            return;
+        }
+
+        for (let i = 0; i < 32; i++) {
+            mid = (lo + hi) / 2;
+            if (measure(make(mid)) >= ratio) {
+                hi = mid;
+            } else {
+                lo = mid;
+            }
+        }
+
+        // Rounding to the source color type can lose a bit of contrast, step further to compensate
+        for (let i = 0; i < 10 && measure(toColor(make(hi), type, 1)) < ratio; i++) {
+            hi = end > hi ? Math.min(end, hi + maxL / 1000) : Math.max(end, hi - maxL / 1000);
+        }
+
+        return hi;
+    };
+
+    if (direction !== "darker") candidates.push(search(maxL));
+    if (direction !== "lighter") candidates.push(search(0));
+
+    candidates = candidates.filter(l => l !== undefined).sort((a, b) => Math.abs(a - base.l) - Math.abs(b - base.l));
+
+    return candidates.length ? toColor(make(candidates[0]), type, alpha) : null;
+};
+
+/**
+ * APCA font lookup table of apca-w3 0.1.7 (0.0.98G-4g constants). Each row: Lc value and minimal font size in px
+ * for font weights 100...900. 999 - prohibited, 777 - non-text elements only.
+ * Lc values above the last row use font sizes of the last row (Lc 105).
+ */
+const APCA_FONT_LOOKUP = [
+    [15, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+    [20, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+    [25, 777, 777, 777, 120, 120, 108, 96, 96, 96],
+    [30, 777, 777, 120, 108, 108, 96, 72, 72, 72],
+    [35, 777, 120, 108, 96, 72, 60, 48, 48, 48],
+    [40, 120, 108, 96, 60, 48, 42, 32, 32, 32],
+    [45, 108, 96, 72, 42, 32, 28, 24, 24, 24],
+    [50, 96, 72, 60, 32, 28, 24, 21, 21, 21],
+    [55, 80, 60, 48, 28, 24, 21, 18, 18, 18],
+    [60, 72, 48, 42, 24, 21, 18, 16, 16, 18],
+    [65, 68, 46, 32, 21.75, 19, 17, 15, 16, 18],
+    [70, 64, 44, 28, 19.5, 18, 16, 14.5, 16, 18],
+    [75, 60, 42, 24, 18, 16, 15, 14, 16, 18],
+    [80, 56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18],
+    [85, 52, 34.5, 22, 16.5, 15.625, 14.625, 14, 16, 18],
+    [90, 48, 32, 21, 16, 15.5, 14.5, 14, 16, 18],
+    [95, 45, 28, 19.5, 15.5, 15, 14, 13.5, 16, 18],
+    [100, 42, 26.5, 18.5, 15, 14.5, 13.5, 13, 16, 18],
+    [105, 39, 25, 18, 14.5, 14, 13, 12, 16, 18],
+];
+
+/**
+ * Get APCA (WCAG 3 draft) lightness contrast of text color on background color, apca-w3 0.1.7 with 0.0.98G-4g constants
+ * @param {*} text - Text color
+ * @param {*} background - Background color
+ * @returns {number} Signed Lc value. Positive for dark text on light background, negative for light text on dark background
+ */
+export const apcaContrast = (text, background) => {
+    const Y = color => {
+        const rgb = toRGB(color);
+        const y = 0.2126729 * Math.pow(rgb.r / 255, 2.4)
+            + 0.7151522 * Math.pow(rgb.g / 255, 2.4)
+            + 0.0721750 * Math.pow(rgb.b / 255, 2.4);
+        return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+    };
+    const txtY = Y(text);
+    const bgY = Y(background);
+    let sapc;
+
+    if (Math.abs(bgY - txtY) < 0.0005) {
+        return 0;
+    }
+
+    if (bgY > txtY) {
+        sapc = (Math.pow(bgY, 0.56) - Math.pow(txtY, 0.57)) * 1.14;
+        return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
     }
-    return hex[0] === "#" ? hex : "#" + hex;
+
+    sapc = (Math.pow(bgY, 0.65) - Math.pow(txtY, 0.62)) * 1.14;
+    return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
 };
 
-export const expand = expandHexColor
+/**
+ * Get minimal font size in px for APCA lightness contrast and font weight according to APCA font lookup table.
+ * Lc values above 105 use font sizes of Lc 105
+ * @param {number} lc - Lc value, sign is ignored
+ * @param {number} fontWeight - Font weight 100...900. Default is 400
+ * @returns {number} Font size in px, Infinity if text is not allowed for this contrast
+ */
+export const apcaFontSize = (lc, fontWeight = 400) => {
+    const col = Math.round(clamp(fontWeight, 100, 900) / 100);
+    const level = Math.abs(lc);
+    let size = Infinity;
+
+    for (const row of APCA_FONT_LOOKUP) {
+        if (row[0] > level) break;
+        size = row[col] >= 777 ? Infinity : row[col];
+    }
+
+    return size;
+};
 
 /**
- * Check if specified color is dark
- * @param {*} color
- * @returns {boolean|undefined}
+ * Check if text color is readable on background color according to APCA font lookup table
+ * @param {*} text - Text color
+ * @param {*} background - Background color
+ * @param {Object} options
+ * @param {number} options.fontSize - Font size in px. Default is 16
+ * @param {number} options.fontWeight - Font weight 100...900. Default is 400
+ * @returns {boolean}
  */
-export const isDark = color => {
-    color = parseColor(color)
-    if (!isColor(color)) return;
-    const rgb = toRGB(color);
-    const YIQ = (rgb.r * 299 + rgb.g * 587 + rgb.b * 114) / 1000;
-    return YIQ < 128;
+export const apcaReadable = (text, background, options = {}) => {
+    const {fontSize = 16, fontWeight = 400} = options;
+
+    return fontSize >= apcaFontSize(apcaContrast(text, background), fontWeight);
 };
 
 /**
- * Check if specified color is light
- * @param {*} color
- * @returns {boolean|undefined}
+ * Get the candidate with the highest contrast ratio on background color
+ * @param {*} background - Background color
+ * @param {Array} candidates - List of colors. Default is black and white
+ * @returns {*}
  */
-export const isLight = color => {
-    return !isDark(color);
+export const mostReadable = (background, candidates = ["#000000", "#ffffff"]) => {
+    let result, best = 0;
+
+    for (const candidate of candidates) {
+        const ratio = contrast(candidate, background);
+        if (ratio > best) {
+            best = ratio;
+            result = candidate;
+        }
+    }
+
+    return result;
 };
 
 /**
@@ -196,6 +1342,15 @@ export const isHSL = color => {
     return parseColor(color) instanceof HSL;
 };
 
+/**
+ * Check if specified color is HSVA color
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isHSVA = color => {
+    return parseColor(color) instanceof HSVA;
+};
+
 /**
  * Check if specified color is HSLA color
  * @param {*} color
@@ -232,13 +1387,87 @@ export const isCMYK = color => {
     return parseColor(color) instanceof CMYK;
 };
 
+/**
+ * Check if specified color is CMYKA color
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isCMYKA = color => {
+    return parseColor(color) instanceof CMYKA;
+};
+
+/**
+ * Check if specified color is CIE Lab color
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isLab = color => {
+    return parseColor(color) instanceof Lab;
+};
+
+/**
+ * Check if specified color is CIE LCH color
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isLCH = color => {
+    return parseColor(color) instanceof LCH;
+};
+
+/**
+ * Check if specified color is OKLab color
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isOKLab = color => {
+    return parseColor(color) instanceof OKLab;
+};
+
+/**
+ * Check if specified color is OKLCH color
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isOKLCH = color => {
+    return parseColor(color) instanceof OKLCH;
+};
+
+/**
+ * Check if specified color is HWB color
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isHWB = color => {
+    return parseColor(color) instanceof HWB;
+};
+
+/**
+ * Check if specified color is HCT color
+ * @param {*} color
+ * @returns {boolean|undefined}
+ */
+export const isHCT = color => {
+    return parseColor(color) instanceof HCT;
+};
+
+/**
+ * Check if specified color is defined in predefined color space (css color() function)
+ * @param {*} color
+ * @param {string} space - If specified, also check that color is defined in this space
+ * @returns {boolean|undefined}
+ */
+export const isPredefinedColor = (color, space) => {
+    color = parseColor(color);
+    return color instanceof PredefinedColor && (space === undefined || color.space === spaceName(space));
+};
+
 /**
  * Check if specified color is HEX color
  * @param {*} color
  * @returns {boolean|undefined}
  */
 export const isHEX = color => {
-    return /(^#[0-9A-F]{6}$)|(^#[0-9A-F]{3}$)/i.test(color);
+    return /^#([0-9A-F]{3}|[0-9A-F]{4}|[0-9A-F]{6}|[0-9A-F]{8})$/i.test(color);
 };
 
 /**
@@ -257,9 +1486,18 @@ export const isColor = color => {
         isRGB(color) ||
         isRGBA(color) ||
         isHSV(color) ||
+        isHSVA(color) ||
         isHSL(color) ||
         isHSLA(color) ||
-        isCMYK(color);
+        isCMYK(color) ||
+        isCMYKA(color) ||
+        isLab(color) ||
+        isLCH(color) ||
+        isOKLab(color) ||
+        isOKLCH(color) ||
+        isHWB(color) ||
+        isHCT(color) ||
+        isPredefinedColor(color);
 };
 
 /**
@@ -272,24 +1510,138 @@ export const colorType = color => {
     if (isRGB(color)) return colorTypes.RGB;
     if (isRGBA(color)) return colorTypes.RGBA;
     if (isHSV(color)) return colorTypes.HSV;
+    if (isHSVA(color)) return colorTypes.HSVA;
     if (isHSL(color)) return colorTypes.HSL;
     if (isHSLA(color)) return colorTypes.HSLA;
     if (isCMYK(color)) return colorTypes.CMYK;
+    if (isCMYKA(color)) return colorTypes.CMYKA;
+    if (isLab(color)) return colorTypes.LAB;
+    if (isLCH(color)) return colorTypes.LCH;
+    if (isOKLab(color)) return colorTypes.OKLAB;
+    if (isOKLCH(color)) return colorTypes.OKLCH;
+    if (isHWB(color)) return colorTypes.HWB;
+    if (isHCT(color)) return colorTypes.HCT;
+    if (isPredefinedColor(color)) return parseColor(color).space;
 
     return colorTypes.UNKNOWN;
 };
 
 /**
- * Check if color1 is equal to comparison color2
+ * CIEDE2000 color difference between two CIE Lab colors
+ * @param {Lab} lab1
+ * @param {Lab} lab2
+ * @returns {number}
+ */
+function ciede2000(lab1, lab2) {
+    const rad = Math.PI / 180, deg = 180 / Math.PI;
+    const C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const C2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const Cm7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cm7 / (Cm7 + Math.pow(25, 7))));
+    const a1 = (1 + G) * lab1.a, a2 = (1 + G) * lab2.a;
+    const c1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+    const c2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+    const h1 = c1 === 0 ? 0 : shift(Math.atan2(lab1.b, a1) * deg, 0);
+    const h2 = c2 === 0 ? 0 : shift(Math.atan2(lab2.b, a2) * deg, 0);
+    const dL = lab2.l - lab1.l;
+    const dC = c2 - c1;
+    let dh = 0, hm = h1 + h2;
+
+    if (c1 * c2 !== 0) {
+        dh = h2 - h1;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+
+        if (Math.abs(h1 - h2) > 180) {
+            hm += h1 + h2 < 360 ? 360 : -360;
+        }
+        hm /= 2;
+    }
+
+    const dH = 2 * Math.sqrt(c1 * c2) * Math.sin(dh / 2 * rad);
+    const Lm = (lab1.l + lab2.l) / 2;
+    const Cm = (c1 + c2) / 2;
+    const T = 1 - 0.17 * Math.cos((hm - 30) * rad) + 0.24 * Math.cos(2 * hm * rad)
+        + 0.32 * Math.cos((3 * hm + 6) * rad) - 0.2 * Math.cos((4 * hm - 63) * rad);
+    const SL = 1 + 0.015 * Math.pow(Lm - 50, 2) / Math.sqrt(20 + Math.pow(Lm - 50, 2));
+    const SC = 1 + 0.045 * Cm;
+    const SH = 1 + 0.015 * Cm * T;
+    const Cm7p = Math.pow(Cm, 7);
+    const RT = -2 * Math.sqrt(Cm7p / (Cm7p + Math.pow(25, 7)))
+        * Math.sin(60 * Math.exp(-Math.pow((hm - 275) / 25, 2)) * rad);
+
+    return Math.sqrt(
+        Math.pow(dL / SL, 2) + Math.pow(dC / SC, 2) + Math.pow(dH / SH, 2) + RT * (dC / SC) * (dH / SH)
+    );
+}
+
+/**
+ * Calculate perceptual difference (Delta E) between two colors
+ * @param {*} color1
+ * @param {*} color2
+ * @param {Object} options
+ * @param {string} options.method - cie76, cie94, ciede2000 or ok (Euclidean distance in OKLab). Default is ciede2000
+ * @returns {number}
+ */
+export const deltaE = (color1, color2, options = {}) => {
+    const {method = "ciede2000"} = options;
+    let lab1, lab2, C1, C2, dL, dC, da, db, dH2;
+
+    switch (("" + method).toLowerCase()) {
+        case "cie76":
+        case "76": {
+            lab1 = toLab(color1);
+            lab2 = toLab(color2);
+            return Math.sqrt(Math.pow(lab1.l - lab2.l, 2) + Math.pow(lab1.a - lab2.a, 2) + Math.pow(lab1.b - lab2.b, 2));
+        }
+
+        case "cie94":
+        case "94": {
+            lab1 = toLab(color1);
+            lab2 = toLab(color2);
+            C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+            C2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+            dL = lab1.l - lab2.l;
+            dC = C1 - C2;
+            da = lab1.a - lab2.a;
+            db = lab1.b - lab2.b;
+            dH2 = Math.max(0, da * da + db * db - dC * dC);
+            return Math.sqrt(dL * dL + Math.pow(dC / (1 + 0.045 * C1), 2) + dH2 / Math.pow(1 + 0.015 * C1, 2));
+        }
+
+        case "ciede2000":
+        case "2000": {
+            return ciede2000(toLab(color1), toLab(color2));
+        }
+
+        case "ok":
+        case "oklab": {
+            return distanceOK(color1, color2);
+        }
+
+        default:
+            throw new Error("Unknown Delta E method " + method + "!");
+    }
+};
+
+/**
+ * Check if color1 is equal to comparison color2.
+ * When tolerance is specified, colors are equal if Delta E between them is not greater than tolerance.
  * @param {*} color1
  * @param {*} color2
+ * @param {number} tolerance - Maximal Delta E for colors to be equal. Default is 0 (exact match of hex values)
+ * @param {Object} options - Options for deltaE, {method: "cie76" | "cie94" | "ciede2000" | "ok"}
  * @returns {boolean}
  */
-export const equal = (color1, color2) => {
+export const equal = (color1, color2, tolerance = 0, options = {}) => {
     if (!isColor(color1) || !isColor(color2)) {
         return false;
     }
 
+    if (tolerance > 0) {
+        return deltaE(color1, color2, options) <= tolerance;
+    }
+
     return toHEX(color1) === toHEX(color2);
 };
 
@@ -302,20 +1654,126 @@ export const colorToString = color => {
     return color.toString();
 };
 
+/**
+ * Format color as string.
+ * Lab, LCH, OKLab, OKLCH, HWB, HCT and color() have no legacy syntax and always use modern syntax.
+ * @param {*} color
+ * @param {Object} options
+ * @param {string} options.syntax - legacy: rgba(255, 0, 0, 0.5), modern: rgb(255 0 0 / 0.5). Default is legacy
+ * @param {number} options.precision - Number of decimals for channel and alpha values. By default depends on color type, alpha has 2 decimals
+ * @param {string} options.hexCase - lower or upper. Default is lower
+ * @param {boolean} options.shortHex - Use 3 or 4 digits hex, when it is possible. Default is false
+ * @param {boolean} options.percent - Use percents for RGB and CMYK channels and for OKLab, OKLCH lightness. Default is false
+ * @param {string} options.alphaFormat - number: 0.5, percent: 50%. Default is number
+ * @returns {string}
+ */
+export const format = (color, options = {}) => {
+    const {syntax = "legacy", precision, hexCase = "lower", shortHex = false, percent = false, alphaFormat = "number"} = options;
+    const num = (v, digits) => "" + +(+v).toFixed(precision === undefined ? digits : precision);
+    const pct = (v, digits) => num(v * 100, digits) + "%";
+    let type, alpha, name, values, legacy, hasAlpha;
+
+    color = parseColor(color);
+
+    if (!isColor(color)) {
+        throw new Error(color + " is not a valid color value!");
+    }
+
+    type = colorType(color);
+    alpha = getAlpha(color);
+
+    if (type === colorTypes.HEX) {
+        let hex = toHEX(color);
+        if (shortHex && /^#([0-9a-f])\1([0-9a-f])\2([0-9a-f])\3(([0-9a-f])\5)?$/i.test(hex)) {
+            hex = "#" + hex[1] + hex[3] + hex[5] + (hex.length === 9 ? hex[7] : "");
+        }
+        return hexCase === "upper" ? hex.toUpperCase() : hex.toLowerCase();
+    }
+
+    legacy = syntax === "legacy";
+    hasAlpha = [colorTypes.RGBA, colorTypes.HSLA, colorTypes.HSVA, colorTypes.CMYKA].includes(type);
+
+    switch (type) {
+        case colorTypes.RGB:
+        case colorTypes.RGBA:
+            name = "rgb";
+            values = [color.r, color.g, color.b].map(v => percent ? pct(v / 255, 0) : num(v, 0));
+            break;
+        case colorTypes.HSL:
+        case colorTypes.HSLA:
+            name = "hsl";
+            values = [num(color.h, 0), pct(color.s, 0), pct(color.l, 0)];
+            break;
+        case colorTypes.HSV:
+        case colorTypes.HSVA:
+            name = "hsv";
+            values = [num(color.h, 0), pct(color.s, 0), pct(color.v, 0)];
+            break;
+        case colorTypes.CMYK:
+        case colorTypes.CMYKA:
+            name = legacy ? "cmyk" : "device-cmyk";
+            values = [color.c, color.m, color.y, color.k].map(v => percent ? num(v, 0) + "%" : legacy ? num(v, 0) : num(v / 100, 2));
+            break;
+        case colorTypes.HWB:
+            name = "hwb";
+            values = [num(color.h, 0), pct(color.w, 0), pct(color.b, 0)];
+            legacy = false;
+            break;
+        case colorTypes.HCT:
+            name = "hct";
+            values = [num(color.h, 2), num(color.c, 2), num(color.t, 2)];
+            legacy = false;
+            break;
+        case colorTypes.LAB:
+            name = "lab";
+            values = [num(color.l, 2) + "%", num(color.a, 2), num(color.b, 2)];
+            legacy = false;
+            break;
+        case colorTypes.LCH:
+            name = "lch";
+            values = [num(color.l, 2) + "%", num(color.c, 2), num(color.h, 2)];
+            legacy = false;
+            break;
+        case colorTypes.OKLAB:
+            name = "oklab";
+            values = [percent ? pct(color.l, 2) : num(color.l, 4), num(color.a, 4), num(color.b, 4)];
+            legacy = false;
+            break;
+        case colorTypes.OKLCH:
+            name = "oklch";
+            values = [percent ? pct(color.l, 2) : num(color.l, 4), num(color.c, 4), num(color.h, 2)];
+            legacy = false;
+            break;
+        default:
+            name = "color";
+            values = [color.space, ...color.coords.map(v => num(v, 4))];
+            legacy = false;
+    }
+
+    alpha = alphaFormat === "percent" ? num(alpha * 100, 0) + "%" : num(alpha, 2);
+
+    if (legacy) {
+        return `${name}${hasAlpha ? "a" : ""}(${(hasAlpha ? [...values, alpha] : values).join(", ")})`;
+    }
+
+    return `${name}(${values.join(" ")}${getAlpha(color) < 1 ? " / " + alpha : ""})`;
+};
+
 /**
  * @param {string} hex
  * @returns {RGB} Value returned as RGB object
  */
 export const hex2rgb = hex => {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})?$/i.exec(
         expandHexColor(hex)
     );
+    if (!result) return null;
     const rgb = [
         parseInt(result[1], 16),
         parseInt(result[2], 16),
         parseInt(result[3], 16),
     ];
-    return result ? new RGB(...rgb) : null;
+    return new RGB(...rgb);
 };
 
 /**
@@ -330,6 +1788,24 @@ export const rgb2hex = rgb => {
     );
 };
 
+/**
+ * @param {string} hex - 4 or 8 digits hex, alpha is 1 for 3 and 6 digits hex
+ * @returns {RGBA}
+ */
+export const hex2rgba = hex => {
+    const rgb = hex2rgb(hex);
+    return rgb ? new RGBA(rgb.r, rgb.g, rgb.b, getAlpha(hex)) : null;
+};
+
+/**
+ * @param {RGBA} rgba
+ * @returns {string} 8 digits hex
+ */
+export const rgba2hex = rgba => {
+    const a = Math.round(clamp(rgba.a, 0, 1) * 255);
+    return rgb2hex(rgba) + ((1 << 8) + a).toString(16).slice(1);
+};
+
 /**
  *
  * @param {RGB} rgb
@@ -382,10 +1858,10 @@ export const rgb2hsv = rgb => {
  */
 export const hsv2rgb = hsv => {
     let r, g, b;
-    const h = hsv.h,
-        s = hsv.s * 100,
-        v = hsv.v * 100;
-    const Hi = Math.floor(h / 60);
+    const h = shift(hsv.h, 0),
+        s = clamp(hsv.s, 0, 1) * 100,
+        v = clamp(hsv.v, 0, 1) * 100;
+    const Hi = Math.floor(h / 60) % 6;
     const Vmin = ((100 - s) * v) / 100;
     const alpha = (v - Vmin) * ((h % 60) / 60);
     const Vinc = Vmin + alpha;
@@ -481,11 +1957,195 @@ export const rgb2cmyk = rgb => {
  * @returns {RGB}
  */
 export const cmyk2rgb = cmyk => {
-    const r = Math.floor(255 * (1 - cmyk.c / 100) * (1 - cmyk.k / 100));
-    const g = Math.ceil(255 * (1 - cmyk.m / 100) * (1 - cmyk.k / 100));
-    const b = Math.ceil(255 * (1 - cmyk.y / 100) * (1 - cmyk.k / 100));
+    const [c, m, y, k] = [cmyk.c, cmyk.m, cmyk.y, cmyk.k].map(v => clamp(v, 0, 100) / 100);
+    const r = Math.floor(255 * (1 - c) * (1 - k));
+    const g = Math.ceil(255 * (1 - m) * (1 - k));
+    const b = Math.ceil(255 * (1 - y) * (1 - k));
+
+    return new RGB(r, g, b);
+};
+
+/**
+ *
+ * @param {HSV} hsv
+ * @returns {HWB}
+ */
+export const hsv2hwb = hsv => {
+    return new HWB(hsv.h, (1 - hsv.s) * hsv.v, 1 - hsv.v);
+};
+
+/**
+ *
+ * @param {HWB} hwb
+ * @returns {HSV}
+ */
+export const hwb2hsv = hwb => {
+    let w = hwb.w, b = hwb.b, v, s;
+
+    if (w + b >= 1) {
+        return new HSV(hwb.h, 0, w / (w + b));
+    }
+
+    v = 1 - b;
+    s = v === 0 ? 0 : 1 - w / v;
+
+    return new HSV(hwb.h, s, v);
+};
+
+/**
+ *
+ * @param {RGB} rgb
+ * @returns {HWB}
+ */
+export const rgb2hwb = rgb => {
+    return hsv2hwb(rgb2hsv(rgb));
+};
+
+/**
+ *
+ * @param {HWB} hwb
+ * @returns {RGB}
+ */
+export const hwb2rgb = hwb => {
+    return hsv2rgb(hwb2hsv(hwb));
+};
+
+/**
+ * Convert RGB to CIE Lab (D50)
+ * @param {RGB} rgb
+ * @returns {Lab}
+ */
+export const rgb2lab = rgb => {
+    return xyz2lab(rgb2xyz(rgb));
+};
+
+/**
+ * Convert CIE Lab (D50) to RGB. Out of gamut channels are clipped, toRGB() maps such colors to sRGB gamut with CSS Color 4 algorithm instead.
+ * @param {Lab} lab
+ * @returns {RGB}
+ */
+export const lab2rgb = lab => {
+    return xyz2rgb(lab2xyz(lab));
+};
+
+/**
+ * Convert CIE Lab to CIE LCH
+ * @param {Lab} lab
+ * @returns {LCH}
+ */
+export const lab2lch = lab => {
+    const c = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+    const h = c < 1e-4 ? 0 : shift(Math.atan2(lab.b, lab.a) * 180 / Math.PI, 0);
+
+    return new LCH(lab.l, c, h, lab.alpha);
+};
+
+/**
+ * Convert CIE LCH to CIE Lab
+ * @param {LCH} lch
+ * @returns {Lab}
+ */
+export const lch2lab = lch => {
+    const h = lch.h * Math.PI / 180;
+
+    return new Lab(lch.l, lch.c * Math.cos(h), lch.c * Math.sin(h), lch.alpha);
+};
+
+/**
+ * Convert RGB to OKLab
+ * @param {RGB} rgb
+ * @returns {OKLab}
+ */
+export const rgb2oklab = rgb => {
+    const linear = [rgb.r, rgb.g, rgb.b].map(v => srgb2linear(v / 255));
+    const lms = multiplyMatrix(LINEAR_TO_LMS, linear).map(v => Math.cbrt(v));
+
+    return new OKLab(...multiplyMatrix(LMS_TO_OKLAB, lms));
+};
+
+/**
+ * Convert RGB to color in predefined color space
+ * @param {RGB} rgb
+ * @param {string} space - Predefined color space: srgb, srgb-linear, display-p3, a98-rgb, prophoto-rgb, rec2020, xyz-d50, xyz-d65
+ * @returns {PredefinedColor}
+ */
+export const rgb2space = (rgb, space = "display-p3") => {
+    space = spaceName(space);
+    return new PredefinedColor(space, xyz2space(space, rgb2xyz(rgb)));
+};
+
+/**
+ * Convert color in predefined color space to RGB. Out of gamut channels are clipped, toRGB() maps such colors to sRGB gamut with CSS Color 4 algorithm instead.
+ * @param {PredefinedColor} color
+ * @returns {RGB}
+ */
+export const space2rgb = color => {
+    return xyz2rgb(space2xyz(color.space, color.coords));
+};
+
+/**
+ * Convert OKLab to RGB. Out of gamut channels are clipped, toRGB() maps such colors to sRGB gamut with CSS Color 4 algorithm instead.
+ * @param {OKLab} oklab
+ * @returns {RGB}
+ */
+export const oklab2rgb = oklab => {
+    const lms = multiplyMatrix(OKLAB_TO_LMS, [oklab.l, oklab.a, oklab.b]).map(v => v * v * v);
+
+    return linear2rgb(multiplyMatrix(LMS_TO_LINEAR, lms));
+};
+
+/**
+ * Convert OKLab to OKLCH
+ * @param {OKLab} oklab
+ * @returns {OKLCH}
+ */
+export const oklab2oklch = oklab => {
+    const c = Math.sqrt(oklab.a * oklab.a + oklab.b * oklab.b);
+    const h = c < 1e-6 ? 0 : shift(Math.atan2(oklab.b, oklab.a) * 180 / Math.PI, 0);
+
+    return new OKLCH(oklab.l, c, h, oklab.alpha);
+};
+
+/**
+ * Convert OKLCH to OKLab
+ * @param {OKLCH} oklch
+ * @returns {OKLab}
+ */
+export const oklch2oklab = oklch => {
+    const h = oklch.h * Math.PI / 180;
+
+    return new OKLab(oklch.l, oklch.c * Math.cos(h), oklch.c * Math.sin(h), oklch.alpha);
+};
+
+/**
+ * Convert RGB to HCT (CAM16 hue and chroma, CIE L* tone)
+ * @param {RGB} rgb
+ * @returns {HCT}
+ */
+export const rgb2hct = rgb => {
+    const linear = [rgb.r, rgb.g, rgb.b].map(v => srgb2linear(v / 255) * 100);
+    const cam = linear2cam16(linear);
+
+    return new HCT(cam.h, cam.c, y2lstar(multiplyMatrix([HCT_SRGB_TO_XYZ[1]], linear)[0]));
+};
+
+/**
+ * Convert HCT to RGB. When color is out of sRGB gamut, chroma is reduced, hue and tone are preserved.
+ * @param {HCT} hct
+ * @returns {RGB}
+ */
+export const hct2rgb = hct => {
+    const y = lstar2y(hct.t);
+    let linear;
+
+    if (hct.c < 0.0001 || hct.t < 0.0001 || hct.t > 99.9999) {
+        linear = [y, y, y];
+    } else {
+        const h = shift(hct.h, 0) * Math.PI / 180;
+        linear = cam16FindByJ(h, hct.c, y) || cam16BisectToLimit(y, h);
+    }
 
-    return new RGB(r, g, b);
+    return linear2rgb(linear.map(v => v / 100));
 };
 
 /**
@@ -587,13 +2247,19 @@ export const cmyk2websafe = cmyk => {
     return rgb2cmyk(rgb2websafe(cmyk2rgb(cmyk)));
 };
 
+export const hwb2websafe = hwb => {
+    return rgb2hwb(rgb2websafe(hwb2rgb(hwb)));
+};
+
 export const websafe = color => {
-    if (isHEX(color)) return hex2websafe(color);
+    if (isHEX(color)) return toHEX(hex2websafe(color), getAlpha(color));
     if (isRGB(color)) return rgb2websafe(color);
     if (isRGBA(color)) return rgba2websafe(color);
     if (isHSV(color)) return hsv2websafe(color);
     if (isHSL(color)) return hsl2websafe(color);
     if (isCMYK(color)) return cmyk2websafe(color);
+    if (isHWB(color)) return hwb2websafe(color);
+    if (isColor(color)) return toColor(rgb2websafe(toRGB(color)), colorType(color), getAlpha(color));
 
     return color;
 };
@@ -605,11 +2271,11 @@ export const websafe = color => {
  * @param alpha
  * @returns {*}
  */
-export const toColor = (color, mode = "rgb", alpha = 1) => {
+export const toColor = (color, mode = "rgb", alpha = getAlpha(color)) => {
     let result;
     switch (mode.toLowerCase()) {
         case "hex":
-            result = toHEX(color);
+            result = toHEX(color, alpha);
             break;
         case "rgb":
             result = toRGB(color);
@@ -626,39 +2292,74 @@ export const toColor = (color, mode = "rgb", alpha = 1) => {
         case "hsv":
             result = toHSV(color);
             break;
+        case "hsva":
+            result = toHSVA(color, alpha);
+            break;
         case "cmyk":
             result = toCMYK(color);
             break;
+        case "cmyka":
+            result = toCMYKA(color, alpha);
+            break;
+        case "lab":
+            result = toLab(color, alpha);
+            break;
+        case "lch":
+            result = toLCH(color, alpha);
+            break;
+        case "oklab":
+            result = toOKLab(color, alpha);
+            break;
+        case "oklch":
+            result = toOKLCH(color, alpha);
+            break;
+        case "hwb":
+            result = toHWB(color, alpha);
+            break;
+        case "hct":
+            result = toHCT(color, alpha);
+            break;
         default:
-            result = color;
+            result = predefinedSpaces[spaceName(mode)] ? toColorSpace(color, mode, alpha) : color;
     }
     return result;
 };
 
 /**
- * Convert color to hex
+ * Convert color to hex, translucent colors are returned as 8 digits hex
  * @param color
+ * @param alpha
  * @returns {string}
  */
-export const toHEX = color => {
-    return typeof color === "string"
-        ? expandHexColor(color)
-        : rgb2hex(toRGB(color));
+export const toHEX = (color, alpha = getAlpha(color)) => {
+    color = parseColor(color);
+    const rgb = isHEX(color) ? hex2rgb(color) : toRGB(color);
+    return alpha < 1
+        ? rgba2hex(new RGBA(rgb.r, rgb.g, rgb.b, alpha))
+        : rgb2hex(rgb);
 };
 
 /**
- * Convert color to RGB
+ * Convert color to RGB.
+ * Lab, LCH, OKLab, OKLCH and predefined colors out of sRGB gamut are mapped with CSS Color 4 gamut mapping (OKLCH chroma reduction),
+ * channels are not clipped like in lab2rgb(), oklab2rgb() and space2rgb()
  * @param color
  * @returns {RGB|*}
  */
 export const toRGB = color => {
+    color = parseColor(color);
     if (isRGB(color)) return color;
     if (isRGBA(color)) return new RGB(color.r, color.g, color.b);
-    if (isHSV(color)) return hsv2rgb(color);
+    if (isHSV(color) || isHSVA(color)) return hsv2rgb(color);
     if (isHSL(color)) return hsv2rgb(hsl2hsv(color));
     if (isHSLA(color)) return hsv2rgb(hsl2hsv(color));
     if (isHEX(color)) return hex2rgb(color);
-    if (isCMYK(color)) return cmyk2rgb(color);
+    if (isCMYK(color) || isCMYKA(color)) return cmyk2rgb(color);
+    if (isHWB(color)) return hwb2rgb(color);
+    if (isHCT(color)) return hct2rgb(color);
+    if (isLab(color) || isLCH(color) || isOKLab(color) || isOKLCH(color) || isPredefinedColor(color)) {
+        return space2rgb(gamutMap(color, "srgb"));
+    }
 
     throw new Error("Unknown color format!");
 };
@@ -669,13 +2370,7 @@ export const toRGB = color => {
  * @param alpha
  * @returns {RGBA|*}
  */
-export const toRGBA = (color, alpha) => {
-    if (isRGBA(color)) {
-        if (alpha) {
-            color.a = alpha;
-        }
-        return color;
-    }
+export const toRGBA = (color, alpha = getAlpha(color)) => {
     const rgb = toRGB(color);
     return new RGBA(rgb.r, rgb.g, rgb.b, alpha);
 };
@@ -689,6 +2384,17 @@ export const toHSV = color => {
     return rgb2hsv(toRGB(color));
 };
 
+/**
+ * Convert color to HSVA
+ * @param color
+ * @param alpha
+ * @returns {HSVA}
+ */
+export const toHSVA = (color, alpha = getAlpha(color)) => {
+    const hsv = toHSV(color);
+    return new HSVA(hsv.h, hsv.s, hsv.v, alpha);
+};
+
 /**
  * Convert color to HSL
  * @param color
@@ -704,16 +2410,13 @@ export const toHSL = color => {
  * @param alpha
  * @returns {HSLA|*}
  */
-export const toHSLA = (color, alpha = 1) => {
+export const toHSLA = (color, alpha = getAlpha(color)) => {
+    color = parseColor(color);
     if (isHSLA(color)) {
-        if (alpha) {
-            color.a = alpha;
-        }
-        return color;
+        return new HSLA(color.h, color.s, color.l, alpha);
     }
-    let hsla = hsv2hsl(rgb2hsv(toRGB(color)));
-    hsla.a = alpha;
-    return new HSLA(hsla.h, hsla.s, hsla.l, hsla.a);
+    const hsl = hsv2hsl(rgb2hsv(toRGB(color)));
+    return new HSLA(hsl.h, hsl.s, hsl.l, alpha);
 };
 
 /**
@@ -725,6 +2428,329 @@ export const toCMYK = color => {
     return rgb2cmyk(toRGB(color));
 };
 
+/**
+ * Convert color to CMYKA
+ * @param color
+ * @param alpha
+ * @returns {CMYKA}
+ */
+export const toCMYKA = (color, alpha = getAlpha(color)) => {
+    const cmyk = toCMYK(color);
+    return new CMYKA(cmyk.c, cmyk.m, cmyk.y, cmyk.k, alpha);
+};
+
+/**
+ * Convert color to CIE Lab
+ * @param color
+ * @param alpha
+ * @returns {Lab}
+ */
+export const toLab = (color, alpha = getAlpha(color)) => {
+    color = parseColor(color);
+    const lab = isLCH(color) ? lch2lab(color) : isLab(color) ? new Lab(color.l, color.a, color.b) : xyz2lab(toXYZ(color));
+    lab.alpha = alpha;
+    return lab;
+};
+
+/**
+ * Convert color to CIE LCH
+ * @param color
+ * @param alpha
+ * @returns {LCH}
+ */
+export const toLCH = (color, alpha = getAlpha(color)) => {
+    color = parseColor(color);
+    const lch = isLCH(color) ? new LCH(color.l, color.c, color.h) : lab2lch(toLab(color));
+    lch.alpha = alpha;
+    return lch;
+};
+
+/**
+ * Convert color to OKLab
+ * @param color
+ * @param alpha
+ * @returns {OKLab}
+ */
+export const toOKLab = (color, alpha = getAlpha(color)) => {
+    let oklab;
+    color = parseColor(color);
+    if (isOKLab(color)) oklab = new OKLab(color.l, color.a, color.b);
+    else if (isOKLCH(color)) oklab = oklch2oklab(color);
+    else if (isRGB(color) || isRGBA(color)) oklab = rgb2oklab(color);
+    else oklab = xyz2oklab(toXYZ(color));
+    oklab.alpha = alpha;
+    return oklab;
+};
+
+/**
+ * Convert color to OKLCH
+ * @param color
+ * @param alpha
+ * @returns {OKLCH}
+ */
+export const toOKLCH = (color, alpha = getAlpha(color)) => {
+    color = parseColor(color);
+    const oklch = isOKLCH(color) ? new OKLCH(color.l, color.c, color.h) : oklab2oklch(toOKLab(color));
+    oklch.alpha = alpha;
+    return oklch;
+};
+
+/**
+ * Convert color to predefined color space of css color() function
+ * @param color
+ * @param {string} space - srgb, srgb-linear, display-p3, a98-rgb, prophoto-rgb, rec2020, xyz, xyz-d50, xyz-d65
+ * @param alpha
+ * @returns {PredefinedColor}
+ */
+export const toColorSpace = (color, space = "display-p3", alpha = getAlpha(color)) => {
+    space = spaceName(space);
+    if (!predefinedSpaces[space]) {
+        throw new Error("Unknown color space " + space + "!");
+    }
+    color = parseColor(color);
+    if (isPredefinedColor(color, space)) return new PredefinedColor(space, [...color.coords], alpha);
+    return new PredefinedColor(space, xyz2space(space, toXYZ(color)), alpha);
+};
+
+/**
+ * Normalize name of the gamut. All sRGB based models (hex, rgb, hsl, hsv, hwb, cmyk) use srgb gamut.
+ * @param {string} space
+ * @returns {string}
+ */
+function gamutName(space) {
+    space = spaceName(space);
+    return predefinedSpaces[space] ? space : "srgb";
+}
+
+/**
+ * Distance between two colors in OKLab space
+ * @param {*} color1
+ * @param {*} color2
+ * @returns {number}
+ */
+function distanceOK(color1, color2) {
+    const lab1 = toOKLab(color1), lab2 = toOKLab(color2);
+    return Math.sqrt(Math.pow(lab1.l - lab2.l, 2) + Math.pow(lab1.a - lab2.a, 2) + Math.pow(lab1.b - lab2.b, 2));
+}
+
+/**
+ * Map color to the gamut of predefined color space.
+ * Method "css" implements CSS Color 4 gamut mapping (binary search of OKLCH chroma), method "clip" clips coordinates.
+ * @param {*} color
+ * @param {string} space
+ * @param {string} method
+ * @returns {PredefinedColor}
+ */
+function gamutMap(color, space = "srgb", method = "css") {
+    const JND = 0.02, EPSILON = 0.0001;
+    const clip = c => {
+        const coords = toColorSpace(c, space).coords.map(v => clamp(v, 0, 1));
+        return new PredefinedColor(space, coords);
+    };
+    let origin, current, clipped, E, min, max, minInGamut, chroma;
+
+    space = gamutName(space);
+    color = parseColor(color);
+
+    if (inGamut(color, space)) {
+        return toColorSpace(color, space);
+    }
+
+    if (method === "clip") {
+        return clip(color);
+    }
+
+    origin = toOKLCH(color);
+
+    if (origin.l >= 1) return toColorSpace(new OKLab(1, 0, 0), space);
+    if (origin.l <= 0) return toColorSpace(new OKLab(0, 0, 0), space);
+
+    current = new OKLCH(origin.l, origin.c, origin.h);
+    clipped = clip(current);
+    E = distanceOK(clipped, current);
+
+    if (E < JND) return clipped;
+
+    min = 0;
+    max = origin.c;
+    minInGamut = true;
+
+    while (max - min > EPSILON) {
+        chroma = (min + max) / 2;
+        current.c = chroma;
+        if (minInGamut && inGamut(current, space)) {
+            min = chroma;
+            continue;
+        }
+        clipped = clip(current);
+        E = distanceOK(clipped, current);
+        if (E < JND) {
+            if (JND - E < EPSILON) break;
+            minInGamut = false;
+            min = chroma;
+        } else {
+            max = chroma;
+        }
+    }
+
+    return clipped;
+}
+
+/**
+ * Check if color is inside the gamut of specified color space
+ * @param color
+ * @param {string} space - srgb, display-p3, a98-rgb, prophoto-rgb, rec2020, ... Default is srgb
+ * @returns {boolean}
+ */
+export const inGamut = (color, space = "srgb") => {
+    const EPSILON = 0.000075;
+
+    space = gamutName(space);
+    color = parseColor(color);
+
+    if (space.startsWith("xyz")) return true;
+    if (space === "srgb" && !(isLab(color) || isLCH(color) || isOKLab(color) || isOKLCH(color) || isPredefinedColor(color))) {
+        return true;
+    }
+
+    return toColorSpace(color, space).coords.every(v => v >= -EPSILON && v <= 1 + EPSILON);
+};
+
+/**
+ * Map color to the gamut of specified color space. The result is returned in the type of the source color.
+ * @param color
+ * @param {string} space - srgb, display-p3, a98-rgb, prophoto-rgb, rec2020, ... Default is srgb
+ * @param {Object} options
+ * @param {string} options.method - css (CSS Color 4 OKLCH chroma reduction) or clip. Default is css
+ * @returns {*}
+ */
+export const toGamut = (color, space = "srgb", options = {}) => {
+    const {method = "css"} = options;
+    const type = colorType(color);
+
+    if (inGamut(color, space)) {
+        return parseColor(color);
+    }
+
+    return toColor(gamutMap(color, space, method), type, getAlpha(color));
+};
+
+/**
+ * Convert color to HWB
+ * @param color
+ * @param alpha
+ * @returns {HWB}
+ */
+export const toHWB = (color, alpha = getAlpha(color)) => {
+    color = parseColor(color);
+    const hwb = isHWB(color) ? new HWB(color.h, color.w, color.b) : rgb2hwb(toRGB(color));
+    hwb.alpha = alpha;
+    return hwb;
+};
+
+/**
+ * Convert color to HCT
+ * @param color
+ * @param alpha
+ * @returns {HCT}
+ */
+export const toHCT = (color, alpha = getAlpha(color)) => {
+    color = parseColor(color);
+    const hct = isHCT(color) ? new HCT(color.h, color.c, color.t) : rgb2hct(toRGB(color));
+    hct.alpha = alpha;
+    return hct;
+};
+
+// Color vision deficiency matrices for linear RGB by Machado, Oliveira and Fernandes (2009), severity 1.0
+const CVD_MATRICES = {
+    protan: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998],
+    ],
+    deutan: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881],
+    ],
+    tritan: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900],
+    ],
+    achroma: [
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722],
+    ],
+};
+
+const CVD_TYPES = {
+    protanopia: ["protan", 1],
+    protanomaly: ["protan", 0.6],
+    deuteranopia: ["deutan", 1],
+    deuteranomaly: ["deutan", 0.6],
+    tritanopia: ["tritan", 1],
+    tritanomaly: ["tritan", 0.6],
+    achromatopsia: ["achroma", 1],
+    achromatomaly: ["achroma", 0.6],
+};
+
+/**
+ * Simulate how color is seen with color vision deficiency.
+ * Dichromacy uses Machado et al. (2009) matrices of severity 1.0, achromatopsia uses luminance of the color.
+ * Anomalous trichromacy (severity below 1) is approximated by linear interpolation between normal vision and dichromacy,
+ * it is close to, but not the same as per severity matrices of Machado et al.
+ * @param color
+ * @param {string} type - protanopia, protanomaly, deuteranopia, deuteranomaly, tritanopia, tritanomaly, achromatopsia, achromatomaly
+ * @param {number} severity - Value between 0 and 1. Default is 1 for -opia types and 0.6 for -omaly types
+ * @returns {*}
+ */
+export const simulate = (color, type, severity) => {
+    const cvd = CVD_TYPES[("" + type).toLowerCase()];
+    let rgb, linear, matrix, result;
+
+    if (!cvd) {
+        throw new Error("Unknown color vision deficiency " + type + "!");
+    }
+
+    severity = clamp(severity === undefined ? cvd[1] : severity, 0, 1);
+    matrix = CVD_MATRICES[cvd[0]].map((row, i) => row.map((v, j) => (i === j ? 1 - severity : 0) + v * severity));
+
+    rgb = toRGB(color);
+    linear = [rgb.r, rgb.g, rgb.b].map(v => srgb2linear(v / 255));
+    result = linear2rgb(multiplyMatrix(matrix, linear));
+
+    return toColor(result, colorType(color), getAlpha(color));
+};
+
+/**
+ * Correct color for people with color vision deficiency (daltonization).
+ * The error between original and simulated colors is shifted to the channels that are better perceived (Fidaner et al.).
+ * @param color
+ * @param {string} type - protanopia, protanomaly, deuteranopia, deuteranomaly, tritanopia, tritanomaly
+ * @param {number} severity - Value between 0 and 1
+ * @returns {*}
+ */
+export const daltonize = (color, type, severity) => {
+    const rgb = toRGB(color);
+    const sim = toRGB(simulate(rgb, type, severity));
+    const err = [rgb.r - sim.r, rgb.g - sim.g, rgb.b - sim.b];
+    const shiftMatrix = [
+        [0, 0, 0],
+        [0.7, 1, 0],
+        [0.7, 0, 1],
+    ];
+    const correction = multiplyMatrix(shiftMatrix, err);
+    const result = new RGB(
+        Math.round(clamp(rgb.r + correction[0], 0, 255)),
+        Math.round(clamp(rgb.g + correction[1], 0, 255)),
+        Math.round(clamp(rgb.b + correction[2], 0, 255))
+    );
+
+    return toColor(result, colorType(color), getAlpha(color));
+};
+
 /**
  * Convert color to grayscale
  * @param color
@@ -736,7 +2762,7 @@ export const grayscale = color => {
     const gray = Math.round(rgb.r * 0.2125 + rgb.g * 0.7154 + rgb.b * 0.0721);
     const mono = new RGB(gray, gray, gray);
 
-    return toColor(mono, type);
+    return toColor(mono, type, getAlpha(color));
 };
 
 /**
@@ -758,7 +2784,7 @@ export const darken = (color, amount = 10) => {
 export const lighten = (color, amount = 10) => {
     let type,
         res,
-        alpha = 1,
+        alpha,
         ring = amount > 0;
 
     const calc = function (_color, _amount) {
@@ -781,71 +2807,450 @@ export const lighten = (color, amount = 10) => {
         if (g > 255) g = 255;
         else if (g < 0) g = 0;
 
-        return "#" + (g | (b << 8) | (r << 16)).toString(16);
+        return "#" + (g | (b << 8) | (r << 16)).toString(16).padStart(6, "0");
     };
 
     type = colorType(color).toLowerCase();
 
-    if (type === colorTypes.RGBA) {
-        alpha = color.a;
+    alpha = getAlpha(color);
+
+    do {
+        res = calc(toHEX(color, 1), amount);
+        ring ? amount-- : amount++;
+    } while (res.length < 7);
+
+    return toColor(res, type, alpha);
+};
+
+/**
+ * Rotate color on color wheel to specified angle
+ * @param color
+ * @param angle
+ * @param alpha
+ * @returns {*}
+ */
+export const hueShift = (color, angle, alpha = getAlpha(color)) => {
+    const hsv = toHSV(color);
+    const type = colorType(color).toLowerCase();
+    let h = hsv.h;
+    h += angle;
+    while (h >= 360.0) h -= 360.0;
+    while (h < 0.0) h += 360.0;
+    hsv.h = h;
+
+    return toColor(hsv, type, alpha);
+};
+
+/**
+ * Create color of black body radiation with specified temperature.
+ * Uses Tanner Helland approximation, valid for temperatures between 1000K and 40000K, other temperatures are clamped to this range
+ * @param {number} kelvin
+ * @param {string} colorType - Type of returned color. Default is rgb
+ * @returns {*}
+ */
+export const fromTemperature = (kelvin, colorType = "rgb") => {
+    let t, r, g, b;
+
+    if (!Number.isFinite(kelvin)) {
+        throw new Error(kelvin + " is not a valid color temperature!");
+    }
+
+    t = clamp(kelvin, 1000, 40000) / 100;
+
+    if (t <= 66) {
+        r = 255;
+        g = 99.4708025861 * Math.log(t) - 161.1195681661;
+    } else {
+        r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+        g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    }
+
+    if (t >= 66) {
+        b = 255;
+    } else if (t <= 19) {
+        b = 0;
+    } else {
+        b = 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    }
+
+    return toColor(new RGB(...[r, g, b].map(v => Math.round(clamp(v, 0, 255)))), colorType);
+};
+
+/**
+ * Get correlated color temperature of color in Kelvin.
+ * Uses McCamy approximation, which is accurate for colors close to black body locus between 2000K and 12500K
+ * @param color
+ * @returns {number|undefined} Undefined for black
+ */
+export const toTemperature = color => {
+    const [X, Y, Z] = toXYZ(color);
+    const sum = X + Y + Z;
+    let x, y, n;
+
+    if (!sum) {
+        return;
+    }
+
+    x = X / sum;
+    y = Y / sum;
+    n = (x - 0.3320) / (0.1858 - y);
+
+    return Math.round(449 * n ** 3 + 3525 * n ** 2 + 6823.3 * n + 5520.33);
+};
+
+/**
+ * White balance color with white point of specified temperature, 6600K is neutral
+ * @param color
+ * @param {number} kelvin
+ * @returns {*}
+ */
+function whiteBalance(color, kelvin) {
+    const white = toRGB(fromTemperature(kelvin));
+    const rgb = toRGB(color);
+    const linear = ["r", "g", "b"].map(k => srgb2linear(rgb[k] / 255) * srgb2linear(white[k] / 255));
+
+    return toColor(linear2rgb(linear), colorType(color), getAlpha(color));
+}
+
+/**
+ * Make color warmer, color is white balanced with lower temperature white point
+ * @param color
+ * @param {number} amount - Temperature shift in Kelvin. Default is 1000
+ * @returns {*}
+ */
+export const warm = (color, amount = 1000) => {
+    return whiteBalance(color, 6600 - amount);
+};
+
+/**
+ * Make color cooler, color is white balanced with higher temperature white point
+ * @param color
+ * @param {number} amount - Temperature shift in Kelvin. Default is 1000
+ * @returns {*}
+ */
+export const cool = (color, amount = 1000) => {
+    return whiteBalance(color, 6600 + amount);
+};
+
+export const mix = (color1, color2, amount) => {
+
+    amount = (amount === 0) ? 0 : (amount || 50);
+
+    const rgb = new RGB(0,0,0);
+    const rgb1 = toRGB(color1);
+    const rgb2 = toRGB(color2);
+
+    const p = amount / 100;
+
+    rgb.r = Math.round(((rgb2.r - rgb1.r) * p) + rgb1.r);
+    rgb.g = Math.round(((rgb2.g - rgb1.g) * p) + rgb1.g);
+    rgb.b = Math.round(((rgb2.b - rgb1.b) * p) + rgb1.b);
+
+    return toHEX(rgb, getAlpha(color1) + (getAlpha(color2) - getAlpha(color1)) * p);
+}
+
+/**
+ * Color spaces for interpolation.
+ * Each space converts color to array of components and back, hue is an index of hue component, chroma - index of component,
+ * which makes hue powerless when it is zero.
+ */
+const interpolationSpaces = {
+    rgb: {
+        to: c => {
+            const rgb = toRGB(c);
+            return [rgb.r, rgb.g, rgb.b];
+        },
+        from: v => new RGB(...v.map(x => Math.round(clamp(x, 0, 255)))),
+    },
+    linear: {
+        to: c => {
+            const rgb = toRGB(c);
+            return [rgb.r, rgb.g, rgb.b].map(x => srgb2linear(x / 255));
+        },
+        from: v => linear2rgb(v),
+    },
+    hsl: {
+        to: c => {
+            const hsl = toHSL(c);
+            return [hsl.h, hsl.s, hsl.l];
+        },
+        from: v => new HSL(...v),
+        hue: 0,
+        chroma: 1,
+    },
+    lab: {
+        to: c => {
+            const lab = toLab(c);
+            return [lab.l, lab.a, lab.b];
+        },
+        from: v => new Lab(...v),
+    },
+    lch: {
+        to: c => {
+            const lch = toLCH(c);
+            return [lch.l, lch.c, lch.h];
+        },
+        from: v => new LCH(...v),
+        hue: 2,
+        chroma: 1,
+    },
+    oklab: {
+        to: c => {
+            const lab = toOKLab(c);
+            return [lab.l, lab.a, lab.b];
+        },
+        from: v => new OKLab(...v),
+    },
+    oklch: {
+        to: c => {
+            const lch = toOKLCH(c);
+            return [lch.l, lch.c, lch.h];
+        },
+        from: v => new OKLCH(...v),
+        hue: 2,
+        chroma: 1,
+    },
+};
+
+/**
+ * Fix hue angles for interpolation according to CSS Color 4 hue interpolation methods
+ * @param {number} h1
+ * @param {number} h2
+ * @param {string} method - shorter, longer, increasing or decreasing
+ * @returns {number[]}
+ */
+function fixupHues(h1, h2, method) {
+    const d = h2 - h1;
+
+    switch (method) {
+        case "longer":
+            if (d > 0 && d < 180) h1 += 360;
+            else if (d > -180 && d <= 0) h2 += 360;
+            break;
+        case "increasing":
+            if (d < 0) h2 += 360;
+            break;
+        case "decreasing":
+            if (d > 0) h1 += 360;
+            break;
+        default:
+            if (d > 180) h1 += 360;
+            else if (d < -180) h2 += 360;
+    }
+
+    return [h1, h2];
+}
+
+/**
+ * Interpolate between two colors in specified space with premultiplied alpha
+ * @param {*} color1
+ * @param {*} color2
+ * @param {number} t - Value between 0 and 1
+ * @param {string} space
+ * @param {string} hueInterpolation
+ * @returns {{color: *, alpha: number}}
+ */
+function interpolate(color1, color2, t, space, hueInterpolation) {
+    const def = interpolationSpaces[space];
+    const a1 = getAlpha(color1), a2 = getAlpha(color2);
+    const c1 = def.to(color1), c2 = def.to(color2);
+    const alpha = a1 + (a2 - a1) * t;
+    let result;
+
+    if (def.hue !== undefined) {
+        // Hue of achromatic color is powerless and takes value from other color
+        if (c1[def.chroma] < 1e-4) c1[def.hue] = c2[def.hue];
+        if (c2[def.chroma] < 1e-4) c2[def.hue] = c1[def.hue];
+        [c1[def.hue], c2[def.hue]] = fixupHues(c1[def.hue], c2[def.hue], hueInterpolation);
     }
 
-    do {
-        res = calc(toHEX(color), amount);
-        ring ? amount-- : amount++;
-    } while (res.length < 7);
+    result = c1.map((v, i) => {
+        if (i === def.hue) {
+            return shift(v + (c2[i] - v) * t, 0);
+        }
+        if (alpha === 0) {
+            return v + (c2[i] - v) * t;
+        }
+        const p1 = v * a1, p2 = c2[i] * a2;
+        return (p1 + (p2 - p1) * t) / alpha;
+    });
 
-    return toColor(res, type);
-};
+    return {color: def.from(result), alpha};
+}
 
 /**
- * Rotate color on color wheel to specified angle
- * @param color
- * @param angle
- * @param alpha
- * @returns {*}
+ * Create color scale. Returned function maps a number from domain to color.
+ * Function has method colors(n) which returns n evenly spaced colors of the scale.
+ * @param {Array} colors - Colors of the scale
+ * @param {Object} options
+ * @param {string} options.space - Interpolation space: rgb, linear, hsl, lab, lch, oklab, oklch. Default is rgb
+ * @param {number[]} options.domain - Domain of the scale, [min, max] or position for each color. Default is [0, 1]
+ * @param {string} options.hueInterpolation - shorter, longer, increasing or decreasing. Default is shorter
+ * @param {number|number[]} options.classes - Number of classes or array of class breaks for quantized scale
+ * @param {number} options.gamma - Gamma correction of scale positions. Default is 1
+ * @param {string} options.format - Format of returned colors. Default is hex
+ * @returns {function(number): *} Function throws an error for non-finite values, values outside of domain are clamped
  */
-export const hueShift = (color, angle, alpha = 1) => {
-    const hsv = toHSV(color);
-    const type = colorType(color).toLowerCase();
-    let h = hsv.h;
-    h += angle;
-    while (h >= 360.0) h -= 360.0;
-    while (h < 0.0) h += 360.0;
-    hsv.h = h;
+export const scale = (colors, options = {}) => {
+    const {space = "rgb", domain = [0, 1], hueInterpolation = "shorter", classes, gamma = 1, format = "hex"} = options;
+    const min = domain[0], max = domain[domain.length - 1];
+    const positions = domain.length === colors.length && colors.length > 2
+        ? domain.map(d => (d - min) / (max - min))
+        : colors.map((c, i) => i / (colors.length - 1));
+
+    if (!interpolationSpaces[space]) {
+        throw new Error("Unsupported interpolation space " + space + "!");
+    }
 
-    return toColor(hsv, type, alpha);
-};
+    if (colors.length < 2) {
+        throw new Error("Scale requires at least two colors!");
+    }
 
-export const mix = (color1, color2, amount) => {
+    if (domain.length < 2 || !domain.every(Number.isFinite)) {
+        throw new Error("Scale domain must contain at least two finite numbers!");
+    }
 
-    amount = (amount === 0) ? 0 : (amount || 50);
+    const f = value => {
+        if (!Number.isFinite(value)) {
+            throw new Error(value + " is not a valid scale value!");
+        }
 
-    const rgb = new RGB(0,0,0);
-    const rgb1 = toRGB(color1);
-    const rgb2 = toRGB(color2);
+        let t = max === min ? 0 : clamp((value - min) / (max - min), 0, 1);
+        let i = 0, result;
 
-    const p = amount / 100;
+        if (Array.isArray(classes) && classes.length > 2) {
+            const k = classes.findIndex((b, j) => j > 0 && value < b);
+            t = (k === -1 ? classes.length - 2 : Math.max(0, k - 1)) / (classes.length - 2);
+        } else if (classes > 1) {
+            t = Math.min(Math.floor(t * classes), classes - 1) / (classes - 1);
+        }
 
-    rgb.r = Math.round(((rgb2.r - rgb1.r) * p) + rgb1.r);
-    rgb.g = Math.round(((rgb2.g - rgb1.g) * p) + rgb1.g);
-    rgb.b = Math.round(((rgb2.b - rgb1.b) * p) + rgb1.b);
+        t = Math.pow(t, gamma);
 
-    return toHEX(rgb);
-}
+        while (i < positions.length - 2 && t > positions[i + 1]) i++;
+
+        const span = positions[i + 1] - positions[i];
+        result = interpolate(colors[i], colors[i + 1], span === 0 ? 0 : (t - positions[i]) / span, space, hueInterpolation);
+
+        return toColor(result.color, format, result.alpha);
+    };
+
+    f.colors = (n = colors.length) => {
+        if (n < 2) return [f(min)];
+        return Array.from({length: n}, (v, i) => f(min + (max - min) * i / (n - 1)));
+    };
+
+    return f;
+};
 
 export const multiply = (color1, color2) => {
     const rgb1 = toRGB(color1);
     const rgb2 = toRGB(color2);
     const rgb = new RGB();
 
-    rgb1.b = Math.floor(rgb1.b * rgb2.b / 255);
-    rgb1.g = Math.floor(rgb1.g * rgb2.g / 255);
-    rgb1.r = Math.floor(rgb1.r * rgb2.r / 255);
+    rgb.b = Math.floor(rgb1.b * rgb2.b / 255);
+    rgb.g = Math.floor(rgb1.g * rgb2.g / 255);
+    rgb.r = Math.floor(rgb1.r * rgb2.r / 255);
 
     return toHEX(rgb);
 }
 
+const blendLum = c => 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+
+const blendSat = c => Math.max(...c) - Math.min(...c);
+
+function blendClipColor(c) {
+    const l = blendLum(c), n = Math.min(...c), x = Math.max(...c);
+    return c.map(v => {
+        if (n < 0) v = l + (v - l) * l / (l - n);
+        if (x > 1) v = l + (v - l) * (1 - l) / (x - l);
+        return v;
+    });
+}
+
+function blendSetLum(c, l) {
+    const d = l - blendLum(c);
+    return blendClipColor(c.map(v => v + d));
+}
+
+function blendSetSat(c, s) {
+    const max = Math.max(...c), min = Math.min(...c);
+    return c.map(v => {
+        if (max === min) return 0;
+        if (v === max) return s;
+        if (v === min) return 0;
+        return (v - min) * s / (max - min);
+    });
+}
+
+function blendHardLight(b, s) {
+    return s <= 0.5 ? b * 2 * s : b + (2 * s - 1) - b * (2 * s - 1);
+}
+
+/**
+ * Blend functions of Compositing and Blending Level 1. Functions receive backdrop and source colors as arrays of channels 0...1
+ */
+const blendModes = {
+    "normal": (b, s) => s,
+    "multiply": (b, s) => b.map((v, i) => v * s[i]),
+    "screen": (b, s) => b.map((v, i) => v + s[i] - v * s[i]),
+    "overlay": (b, s) => b.map((v, i) => blendHardLight(s[i], v)),
+    "darken": (b, s) => b.map((v, i) => Math.min(v, s[i])),
+    "lighten": (b, s) => b.map((v, i) => Math.max(v, s[i])),
+    "color-dodge": (b, s) => b.map((v, i) => v === 0 ? 0 : s[i] === 1 ? 1 : Math.min(1, v / (1 - s[i]))),
+    "color-burn": (b, s) => b.map((v, i) => v === 1 ? 1 : s[i] === 0 ? 0 : 1 - Math.min(1, (1 - v) / s[i])),
+    "hard-light": (b, s) => b.map((v, i) => blendHardLight(v, s[i])),
+    "soft-light": (b, s) => b.map((v, i) => {
+        const d = v <= 0.25 ? ((16 * v - 12) * v + 4) * v : Math.sqrt(v);
+        return s[i] <= 0.5 ? v - (1 - 2 * s[i]) * v * (1 - v) : v + (2 * s[i] - 1) * (d - v);
+    }),
+    "difference": (b, s) => b.map((v, i) => Math.abs(v - s[i])),
+    "exclusion": (b, s) => b.map((v, i) => v + s[i] - 2 * v * s[i]),
+    "hue": (b, s) => blendSetLum(blendSetSat(s, blendSat(b)), blendLum(b)),
+    "saturation": (b, s) => blendSetLum(blendSetSat(b, blendSat(s)), blendLum(b)),
+    "color": (b, s) => blendSetLum(s, blendLum(b)),
+    "luminosity": (b, s) => blendSetLum(b, blendLum(s)),
+};
+
+/**
+ * Blend top (source) color with bottom (backdrop) color using W3C Compositing and Blending blend mode
+ * and source-over alpha compositing. The result is returned in the type of the bottom color,
+ * translucent result of a type without alpha channel is returned in its alpha variant (rgb as rgba, hsl as hsla, ...).
+ * @param {*} top - Source color
+ * @param {*} bottom - Backdrop color
+ * @param {string} mode - normal, multiply, screen, overlay, darken, lighten, color-dodge, color-burn, hard-light,
+ * soft-light, difference, exclusion, hue, saturation, color, luminosity. Default is normal
+ * @returns {*}
+ */
+export const blend = (top, bottom, mode = "normal") => {
+    const fn = blendModes[("" + mode).toLowerCase()];
+    const type = colorType(bottom);
+    let src, dst, as, ab, ao, mixed, result;
+
+    if (!fn) {
+        throw new Error("Unknown blend mode " + mode + "!");
+    }
+
+    src = toRGB(top);
+    dst = toRGB(bottom);
+    as = getAlpha(top);
+    ab = getAlpha(bottom);
+    src = [src.r, src.g, src.b].map(v => v / 255);
+    dst = [dst.r, dst.g, dst.b].map(v => v / 255);
+
+    mixed = fn(dst, src);
+    ao = as + ab * (1 - as);
+    result = src.map((cs, i) => {
+        const blended = (1 - ab) * cs + ab * mixed[i];
+        const co = as * blended + ab * dst[i] * (1 - as);
+        return ao === 0 ? 0 : Math.round(clamp(co / ao, 0, 1) * 255);
+    });
+    result = new RGB(...result);
+    ao = +ao.toFixed(3);
+
+    return toColor(result, ao < 1 ? alphaColorTypes[type] || type : type, ao);
+};
+
 export const shade = (color, amount) => {
     if (!isColor(color)) {
         throw new Error(color + " is not a valid color value!");
@@ -857,17 +3262,13 @@ export const shade = (color, amount) => {
     const rgb = toRGB(color);
     const t = amount < 0 ? 0 : 255;
     const p = amount < 0 ? amount * -1 : amount;
-    let r, g, b, a;
+    let r, g, b;
 
     r = (Math.round((t - rgb.r) * p) + rgb.r);
     g = (Math.round((t - rgb.g) * p) + rgb.g);
     b = (Math.round((t - rgb.b) * p) + rgb.b);
 
-    if (type === colorTypes.RGBA || type === colorTypes.HSLA) {
-        a = color.a;
-    }
-
-    return toColor(new RGB(r, g, b), type, a);
+    return toColor(new RGB(r, g, b), type, getAlpha(color));
 }
 
 export const saturate = (color, amount) => {
@@ -879,13 +3280,10 @@ export const saturate = (color, amount) => {
 
     hsl = toHSL(color);
     hsl.s += amount / 100;
-    hsl.s = clamp(0, 1, hsl.s);
+    hsl.s = clamp(hsl.s, 0, 1);
 
     type = colorType(color).toLowerCase();
-
-    if (type === colorTypes.RGBA || type === colorTypes.HSLA) {
-        alpha = color.a;
-    }
+    alpha = getAlpha(color);
 
     return toColor(hsl, type, alpha);
 }
@@ -899,13 +3297,10 @@ export const desaturate = (color, amount) => {
 
     hsl = toHSL(color);
     hsl.s -= amount / 100;
-    hsl.s = clamp(hsl.s);
+    hsl.s = clamp(hsl.s, 0, 1);
 
     type = colorType(color).toLowerCase();
-
-    if (type === colorTypes.RGBA || type === colorTypes.HSLA) {
-        alpha = color.a;
-    }
+    alpha = getAlpha(color);
 
     return toColor(hsl, type, alpha);
 }
@@ -922,10 +3317,7 @@ export const spin = (color, amount) => {
     hsl.h = hue < 0 ? 360 + hue : hue;
 
     type = colorType(color).toLowerCase();
-
-    if (type === colorTypes.RGBA || type === colorTypes.HSLA) {
-        alpha = color.a;
-    }
+    alpha = getAlpha(color);
 
     return toColor(hsl, type, alpha);
 }
@@ -938,41 +3330,286 @@ export const brighten = (color, amount) => {
     }
 
     rgb = toRGB(color);
-    rgb.r = Math.max(0, Math.min(255, rgb.r - Math.round(255 * - (amount / 100))));
-    rgb.g = Math.max(0, Math.min(255, rgb.g - Math.round(255 * - (amount / 100))));
-    rgb.b = Math.max(0, Math.min(255, rgb.b - Math.round(255 * - (amount / 100))));
+    rgb = new RGB(
+        Math.max(0, Math.min(255, rgb.r - Math.round(255 * - (amount / 100)))),
+        Math.max(0, Math.min(255, rgb.g - Math.round(255 * - (amount / 100)))),
+        Math.max(0, Math.min(255, rgb.b - Math.round(255 * - (amount / 100))))
+    );
 
     type = colorType(color).toLowerCase();
+    alpha = getAlpha(color);
+
+    return toColor(rgb, type, alpha);
+}
+
+const alphaColorTypes = {
+    [colorTypes.RGB]: colorTypes.RGBA,
+    [colorTypes.HSL]: colorTypes.HSLA,
+    [colorTypes.HSV]: colorTypes.HSVA,
+    [colorTypes.CMYK]: colorTypes.CMYKA,
+};
+
+/**
+ * Set alpha channel of color.
+ * Colors without alpha channel are returned in their alpha variant: rgb as rgba, hsl as hsla, hsv as hsva, cmyk as cmyka.
+ * Hex is returned as 8 digits hex when color is translucent
+ * @param color
+ * @param {number} alpha - Value between 0 and 1
+ * @returns {*}
+ */
+export const fade = (color, alpha) => {
+    let type;
 
-    if (type === colorTypes.RGBA || type === colorTypes.HSLA) {
-        alpha = color.a;
+    if (!isColor(color)) {
+        throw new Error(color + " is not a valid color value!");
     }
 
-    return toColor(rgb, type, alpha);
+    type = colorType(color).toLowerCase();
+
+    return toColor(color, alphaColorTypes[type] || type, clamp(alpha, 0, 1));
+}
+
+/**
+ * Make color more opaque
+ * @param color
+ * @param {number} amount - Value between 0 and 1, added to alpha channel
+ * @returns {*}
+ */
+export const opacify = (color, amount = 0.1) => {
+    return fade(color, getAlpha(color) + amount);
+}
+
+/**
+ * Make color more transparent
+ * @param color
+ * @param {number} amount - Value between 0 and 1, subtracted from alpha channel
+ * @returns {*}
+ */
+export const transparentize = (color, amount = 0.1) => {
+    return fade(color, getAlpha(color) - amount);
 }
 
 export const add = (val1, val2, returnAs) => {
     const color1 = parse(val1)
     const color2 = parse(val2)
-    const c1 = toRGBA(color1, undefined);
-    const c2 = toRGBA(color2, undefined);
+    const c1 = toRGBA(color1);
+    const c2 = toRGBA(color2);
     const result = new RGBA();
-    const to = (""+returnAs).toLowerCase() || "hex";
+    const to = returnAs ? (""+returnAs).toLowerCase() : colorTypes.HEX;
 
     result.r = Math.round((c1.r + c2.r) / 2);
     result.g = Math.round((c1.g + c2.g) / 2);
     result.b = Math.round((c1.b + c2.b) / 2);
-    result.a = Math.round((c1.a + c2.a) / 2);
+    result.a = (c1.a + c2.a) / 2;
+
+    return toColor(result, to, result.a);
+}
+
+// Tones of Material 3 tonal palettes
+const TONAL_PALETTE_TONES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100];
+
+/**
+ * Create Material 3 tonal palette: colors with the same HCT hue and chroma and different tones
+ * @param {number} hue - HCT hue
+ * @param {number} chroma - HCT chroma, reduced for tones where it is out of sRGB gamut
+ * @param {number[]} tones - Default is 0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100
+ * @param {string} format - Color type of palette values. Default is hex
+ * @returns {Object} Palette object with tones as keys
+ */
+export const tonalPalette = (hue, chroma, tones = TONAL_PALETTE_TONES, format = colorTypes.HEX) => {
+    const palette = {};
+
+    for (const tone of tones) {
+        palette[tone] = toColor(new HCT(hue, chroma, tone), format);
+    }
+
+    return palette;
+};
+
+// Lightness and chroma ranges, warm and cool hues of perceptual spaces of color schemes
+const schemeSpaces = {
+    lch: {l: 100, c: 150, warm: 85, cool: 290},
+    oklch: {l: 1, c: 0.4, warm: 75, cool: 265},
+};
+
+/**
+ * Create monochromatic scheme in LCH or OKLCH, hue and chroma are kept and lightness is changed.
+ * Steps of options are relative to the ranges of the space.
+ * @param {LCH|OKLCH} base
+ * @param {Object} opt - Scheme options
+ * @param {Object} range - Lightness and chroma ranges of the space
+ * @returns {Array}
+ */
+function monochromaticScheme(base, opt, range) {
+    const make = (l, c = base.c) => new base.constructor(clamp(l, 0, range.l), Math.max(0, c), base.h);
+    const step = opt.step * range.l;
+    const result = [];
+    let l = base.l, c = base.c, i;
+
+    if (opt.algorithm === 1) {
+        result.push(make(l + (range.l - l) * opt.tint1));
+        result.push(make(l + (range.l - l) * opt.tint2));
+        result.push(base);
+        result.push(make(l * opt.shade1));
+        result.push(make(l * opt.shade2));
+    } else if (opt.algorithm === 2 || opt.algorithm === 3) {
+        result.push(base);
+        for (i = 1; i <= opt.distance; i++) {
+            l = clamp(l - step, 0, range.l);
+            if (opt.algorithm === 2) c = Math.max(0, c - opt.step * range.c);
+            result.push(make(l, c));
+        }
+    } else {
+        result.push(make(l + step * 2));
+        result.push(make(l + step));
+        result.push(base);
+        result.push(make(l - step));
+        result.push(make(l - step * 2));
+    }
+
+    return result;
+}
+
+// Easing functions of ramp lightness distribution
+const rampCurves = {
+    linear: t => t,
+    "ease-in": t => t * t,
+    "ease-out": t => 1 - (1 - t) * (1 - t),
+    "ease-in-out": t => t * t * (3 - 2 * t),
+};
 
-    return toColor(result, returnAs, result.a);
+/**
+ * Create Tailwind like keys of ramp steps: 50, 100...900 rounded to the largest unit keeping them unique, 950
+ * @param {number} steps
+ * @returns {number[]}
+ */
+function rampKeys(steps) {
+    const middle = Math.max(0, steps - 2);
+    let keys;
+
+    for (const unit of [100, 50, 25, 10, 5, 1]) {
+        keys = Array.from({length: middle}, (v, i) => {
+            const key = middle === 1 ? 500 : 100 + 800 * i / (middle - 1);
+            return Math.round(key / unit) * unit;
+        });
+        keys = [50, ...keys, 950];
+        if (new Set(keys).size === keys.length) break;
+    }
+
+    return keys;
 }
 
+/**
+ * Create numbered ramp of tints and shades (50...950 like Tailwind) in LCH or OKLCH.
+ * Source color is placed at one of the steps, lighter and darker steps keep its hue and fade chroma towards extremes.
+ * @param color
+ * @param {Object} options
+ * @param {number} options.steps - Number of steps, must match number of keys when both are specified. Default is 11
+ * @param {Array} options.keys - Keys of steps from lightest to darkest. Default is 50, 100, 200, ..., 900, 950 for 11 steps,
+ * for other number of steps keys between 50 and 950 are distributed evenly
+ * @param {string|number} options.at - Key of step for source color. Default is step with closest lightness
+ * @param {string} options.space - oklch or lch. Default is oklch
+ * @param {number} options.lightest - Lightness of the first step, 0...1 of lightness range. Default is 0.97
+ * @param {number} options.darkest - Lightness of the last step, 0...1 of lightness range. Default is 0.25
+ * @param {string|Function} options.lightnessCurve - linear, ease-in, ease-out, ease-in-out or function (t) => t, where t is 0...1. Default is linear
+ * @param {number|Function} options.chromaCurve - Chroma multiplier at extremes or function (d) => multiplier, where d is 0...1 distance from source step. Default is 0.4
+ * @param {number} options.hueShift - Max hue shift in degrees, light steps are shifted towards warm and dark steps towards cool hue. Default is 0
+ * @param {string} options.gamut - Steps are mapped to this gamut. Default is srgb
+ * @param {string} options.format - Color type of steps. Default is hex
+ * @returns {Object} Ramp object with keys of steps
+ */
+export const ramp = (color, options = {}) => {
+    const {
+        steps = 11,
+        space = "oklch",
+        lightest = 0.97,
+        darkest = 0.25,
+        lightnessCurve = "linear",
+        chromaCurve = 0.4,
+        hueShift = 0,
+        gamut = "srgb",
+        format = colorTypes.HEX,
+    } = options;
+    const range = schemeSpaces[("" + space).toLowerCase()];
+    const keys = options.keys || rampKeys(steps);
+    const curve = typeof lightnessCurve === "function" ? lightnessCurve : rampCurves[lightnessCurve];
+    const chroma = typeof chromaCurve === "function" ? chromaCurve : d => 1 - (1 - chromaCurve) * d * d;
+    const alpha = getAlpha(color);
+    const last = keys.length - 1;
+    const result = {};
+    let base, index, top, bottom;
+
+    if (!range) {
+        throw new Error("Unsupported ramp space " + space + "!");
+    }
+
+    if (!curve) {
+        throw new Error("Unknown lightness curve " + lightnessCurve + "!");
+    }
+
+    if (options.keys && options.steps !== undefined && options.steps !== keys.length) {
+        throw new Error("Number of ramp steps doesn't match number of keys!");
+    }
+
+    if ((options.keys ? keys.length : steps) < 2) {
+        throw new Error("Ramp must have at least two steps!");
+    }
+
+    base = toColor(color, space, 1);
+    top = lightest * range.l;
+    bottom = darkest * range.l;
+
+    if (options.at !== undefined) {
+        index = keys.findIndex(key => "" + key === "" + options.at);
+        if (index === -1) {
+            throw new Error("Unknown ramp step " + options.at + "!");
+        }
+    } else {
+        const distance = i => Math.abs(top + (bottom - top) * curve(i / last) - base.l);
+        index = 0;
+        for (let i = 1; i <= last; i++) {
+            if (distance(i) < distance(index)) index = i;
+        }
+    }
+
+    keys.forEach((key, i) => {
+        let l, d, target, h = base.h;
+
+        if (i === index) {
+            result[key] = toColor(toGamut(base, gamut), format, alpha);
+            return;
+        }
+
+        if (i < index) {
+            l = top + (base.l - top) * curve(i / index);
+            d = (index - i) / index;
+            target = range.warm;
+        } else {
+            d = (i - index) / (last - index);
+            l = base.l + (bottom - base.l) * curve(d);
+            target = range.cool;
+        }
+
+        if (hueShift) {
+            const diff = shift(target - h + 180, 0) - 180;
+            h = shift(h + Math.sign(diff) * Math.min(Math.abs(diff), hueShift * d), 0);
+        }
+
+        const step = new base.constructor(clamp(l, 0, range.l), Math.max(0, base.c * chroma(d)), h);
+        result[key] = toColor(toGamut(step, gamut), format, alpha);
+    });
+
+    return result;
+};
+
 /**
  * Create color scheme
  * @param color
  * @param name
  * @param format
  * @param options
+ * @param {string} options.space - Space of hue rotation and lightness changes: hsv, lch or oklch. Default is hsv.
+ * In lch and oklch lightness and chroma are kept and results are mapped to options.gamut, default is srgb.
  * @returns {boolean|*}
  */
 export const createColorScheme = (color, name, format = colorTypes.HEX, options) => {
@@ -981,7 +3618,9 @@ export const createColorScheme = (color, name, format = colorTypes.HEX, options)
     let i;
     const scheme = [];
     let hsv;
-    let rgb, h, s, v;
+    let rgb, h, s, v, base, withHue;
+    const space = ("" + (opt.space || "hsv")).toLowerCase();
+    const keyed = ["material", "tonal", "ramp"].includes(name);
 
     hsv = toHSV(color);
 
@@ -990,14 +3629,24 @@ export const createColorScheme = (color, name, format = colorTypes.HEX, options)
         return false;
     }
 
-    h = hsv.h;
+    if (space !== "hsv" && !schemeSpaces[space]) {
+        throw new Error("Unsupported scheme space " + space + "!");
+    }
+
+    // In perceptual spaces hue is rotated with constant lightness and chroma
+    base = space === "hsv" ? hsv : toColor(color, space, 1);
+    withHue = hue => space === "hsv" ? new HSV(hue, s, v) : new base.constructor(base.l, base.c, hue);
+
+    h = base.h;
     s = hsv.s;
     v = hsv.v;
 
     switch (name) {
         case "monochromatic":
         case "mono": {
-            if (opt.algorithm === 1) {
+            if (space !== "hsv") {
+                scheme.push(...monochromaticScheme(base, opt, schemeSpaces[space]));
+            } else if (opt.algorithm === 1) {
                 rgb = hsv2rgb(hsv);
                 rgb.r = toRange(
                     Math.round(rgb.r + (255 - rgb.r) * opt.tint1),
@@ -1052,30 +3701,30 @@ export const createColorScheme = (color, name, format = colorTypes.HEX, options)
                 for (i = 1; i <= opt.distance; i++) {
                     v = clamp(v - opt.step, 0, 1);
                     s = clamp(s - opt.step, 0, 1);
-                    scheme.push({h: h, s: s, v: v});
+                    scheme.push(new HSV(h, s, v));
                 }
             } else if (opt.algorithm === 3) {
                 scheme.push(hsv);
                 for (i = 1; i <= opt.distance; i++) {
                     v = clamp(v - opt.step, 0, 1);
-                    scheme.push({h: h, s: s, v: v});
+                    scheme.push(new HSV(h, s, v));
                 }
             } else {
                 v = clamp(hsv.v + opt.step * 2, 0, 1);
-                scheme.push({h: h, s: s, v: v});
+                scheme.push(new HSV(h, s, v));
 
                 v = clamp(hsv.v + opt.step, 0, 1);
-                scheme.push({h: h, s: s, v: v});
+                scheme.push(new HSV(h, s, v));
 
                 scheme.push(hsv);
                 s = hsv.s;
                 v = hsv.v;
 
                 v = clamp(hsv.v - opt.step, 0, 1);
-                scheme.push({h: h, s: s, v: v});
+                scheme.push(new HSV(h, s, v));
 
                 v = clamp(hsv.v - opt.step * 2, 0, 1);
-                scheme.push({h: h, s: s, v: v});
+                scheme.push(new HSV(h, s, v));
             }
             break;
         }
@@ -1083,26 +3732,26 @@ export const createColorScheme = (color, name, format = colorTypes.HEX, options)
         case "complementary":
         case "complement":
         case "comp": {
-            scheme.push(hsv);
+            scheme.push(base);
 
-            h = shift(hsv.h, 180.0);
-            scheme.push(new HSV(h, s, v));
+            h = shift(base.h, 180.0);
+            scheme.push(withHue(h));
             break;
         }
 
         case "double-complementary":
         case "double-complement":
         case "double": {
-            scheme.push(hsv);
+            scheme.push(base);
 
             h = shift(h, 180.0);
-            scheme.push(new HSV(h, s, v));
+            scheme.push(withHue(h));
 
             h = shift(h, opt.angle);
-            scheme.push(new HSV(h, s, v));
+            scheme.push(withHue(h));
 
             h = shift(h, 180.0);
-            scheme.push(new HSV(h, s, v));
+            scheme.push(withHue(h));
 
             break;
         }
@@ -1110,43 +3759,43 @@ export const createColorScheme = (color, name, format = colorTypes.HEX, options)
         case "analogous":
         case "analog": {
             h = shift(h, opt.angle);
-            scheme.push(new HSV(h, s, v));
+            scheme.push(withHue(h));
 
-            scheme.push(hsv);
+            scheme.push(base);
 
-            h = shift(hsv.h, 0.0 - opt.angle);
-            scheme.push(new HSV(h, s, v));
+            h = shift(base.h, 0.0 - opt.angle);
+            scheme.push(withHue(h));
 
             break;
         }
 
         case "triadic":
         case "triad": {
-            scheme.push(hsv);
+            scheme.push(base);
             for (i = 1; i < 3; i++) {
                 h = shift(h, 120.0);
-                scheme.push(new HSV(h, s, v));
+                scheme.push(withHue(h));
             }
             break;
         }
 
         case "tetradic":
         case "tetra": {
-            scheme.push(hsv);
-            h = shift(hsv.h, 180.0);
-            scheme.push(new HSV(h, s, v));
-            h = shift(hsv.h, -1 * opt.angle);
-            scheme.push(new HSV(h, s, v));
+            scheme.push(base);
+            h = shift(base.h, 180.0);
+            scheme.push(withHue(h));
+            h = shift(base.h, -1 * opt.angle);
+            scheme.push(withHue(h));
             h = shift(h, 180.0);
-            scheme.push(new HSV(h, s, v));
+            scheme.push(withHue(h));
             break;
         }
 
         case "square": {
-            scheme.push(hsv);
+            scheme.push(base);
             for (i = 1; i < 4; i++) {
                 h = shift(h, 90.0);
-                scheme.push(new HSV(h, s, v));
+                scheme.push(withHue(h));
             }
             break;
         }
@@ -1155,19 +3804,19 @@ export const createColorScheme = (color, name, format = colorTypes.HEX, options)
         case "split-complement":
         case "split": {
             h = shift(h, 180.0 - opt.angle);
-            scheme.push(new HSV(h, s, v));
+            scheme.push(withHue(h));
 
-            scheme.push(hsv);
+            scheme.push(base);
 
-            h = shift(hsv.h, 180.0 + opt.angle);
-            scheme.push(new HSV(h, s, v));
+            h = shift(base.h, 180.0 + opt.angle);
+            scheme.push(withHue(h));
             break;
         }
         case "material": {
             var baseLight = opt.baseLight;
             var baseDark = opt.baseDark === "self" || !opt.baseDark ? multiply(color, color) : opt.baseDark;
 
-            scheme.push({
+            const material = {
                 "50": mix(baseLight, color, 10),
                 "100": mix(baseLight, color, 30),
                 "200": mix(baseLight, color, 50),
@@ -1183,65 +3832,278 @@ export const createColorScheme = (color, name, format = colorTypes.HEX, options)
                 "A200": lighten(saturate(mix(baseDark, color, 15), 80), 55),
                 "A400": lighten(saturate(mix(baseLight, color, 100), 55), 10),
                 "A700": lighten(saturate(mix(baseDark, color, 83), 65), 10)
-            })
+            };
+
+            for (const key in material) {
+                material[key] = toColor(material[key], format, options && options.alpha !== undefined ? options.alpha : getAlpha(material[key]));
+            }
+
+            scheme.push(material);
 
             break
         }
 
+        case "tonal": {
+            // Key palettes of Material 3 core palette, with content option chroma of source color is kept
+            const hct = toHCT(color);
+            const c = hct.c;
+            const keys = opt.content ? {
+                primary: [hct.h, c],
+                secondary: [hct.h, c / 3],
+                tertiary: [hct.h + 60, c / 2],
+                neutral: [hct.h, Math.min(c / 12, 4)],
+                neutralVariant: [hct.h, Math.min(c / 6, 8)],
+            } : {
+                primary: [hct.h, Math.max(48, c)],
+                secondary: [hct.h, 16],
+                tertiary: [hct.h + 60, 24],
+                neutral: [hct.h, 4],
+                neutralVariant: [hct.h, 8],
+            };
+            const palettes = {};
+
+            keys.error = [25, 84];
+
+            for (const key in keys) {
+                palettes[key] = tonalPalette(...keys[key], opt.tones, format);
+            }
+
+            scheme.push(palettes);
+
+            break;
+        }
+
+        case "ramp": {
+            scheme.push(ramp(color, Object.assign({}, options, {format, space: space === "hsv" ? "oklch" : space})));
+            break;
+        }
+
         default:
             console.error("Unknown scheme name");
     }
 
-    return name === "material" ? scheme[0] : convert(scheme, format);
+    // Material, tonal and ramp schemes are objects with keys of steps, already converted to format
+    if (keyed) {
+        return scheme[0];
+    }
+
+    if (space !== "hsv") {
+        scheme.forEach((c, i) => scheme[i] = toGamut(c, opt.gamut || "srgb"));
+    }
+
+    return convert(scheme, format, options && options.alpha !== undefined ? options.alpha : getAlpha(color));
 };
 
 /**
- * Parse from string to color type
+ * Convert color to value of design token
  * @param color
- * @returns {HSL|RGB|RGBA|string|HSV|CMYK|HSLA}
+ * @param {string} format - hex, object (DTCG color object) or any color type for css string
+ * @returns {string|Object}
  */
-export const parseColor = function (color) {
-    let _color = (""+color).toLowerCase();
-
-    if (typeof StandardColorPalette[_color] !== 'undefined') {
-        _color = StandardColorPalette[_color];
+function designTokenValue(color, format) {
+    if (format === "hex") {
+        return toHEX(color);
     }
-
-    if (typeof MetroColorPalette[_color] !== 'undefined') {
-        _color = MetroColorPalette[_color];
+    if (format === "object") {
+        const rgb = toRGB(color);
+        return {
+            colorSpace: "srgb",
+            components: [rgb.r, rgb.g, rgb.b].map(v => +(v / 255).toFixed(4)),
+            alpha: getAlpha(color),
+            hex: toHEX(color, 1),
+        };
     }
+    return toColor(color, format).toString();
+}
 
-    let a = _color
-        .replace(/[^\d.,]/g, "")
-        .split(",")
-        .map(v => {
-            return _color.includes("hs") ? parseFloat(v) : parseInt(v);
-        });
+// DTCG color spaces outside of css color() function, hsl and hwb components are percentages
+const tokenColorSpaces = {
+    hsl: c => new HSL(c[0], c[1] / 100, c[2] / 100),
+    hwb: c => new HWB(c[0], c[1] / 100, c[2] / 100),
+    lab: c => new Lab(...c),
+    lch: c => new LCH(...c),
+    oklab: c => new OKLab(...c),
+    oklch: c => new OKLCH(...c),
+};
 
-    if (_color[0] === "#") {
-        return expandHexColor(_color);
+/**
+ * Convert DTCG color object to hex
+ * @param {Object} value - Color object {colorSpace, components, alpha, hex}
+ * @returns {string}
+ */
+function designTokenColor(value) {
+    const alpha = value.alpha === undefined ? 1 : value.alpha;
+    const space = spaceName(value.colorSpace);
+    const components = (value.components || []).map(v => v === "none" ? 0 : v);
+
+    if (value.hex) {
+        return toHEX(value.hex, alpha);
+    }
+    if (tokenColorSpaces[space]) {
+        return toHEX(tokenColorSpaces[space](components), alpha);
     }
+    if (predefinedSpaces[space]) {
+        return toHEX(new PredefinedColor(space, components, alpha));
+    }
+
+    throw new Error("Unsupported token color space " + value.colorSpace + "!");
+}
+
+/**
+ * Convert color scheme or palette to W3C Design Tokens (DTCG) format.
+ * Arrays are converted to tokens with 1-based index names, nested objects to groups.
+ * Values like "{group.token}" and names of other tokens in the same group are converted to aliases.
+ * @param {Array|Object} source - Color scheme or palette
+ * @param {Object} options
+ * @param {string} options.prefix - Group path for tokens, e.g. "color.brand"
+ * @param {string} options.format - hex, object (DTCG color object) or color type for css string values. Default is hex
+ * @returns {Object}
+ */
+export const toDesignTokens = (source, options = {}) => {
+    const {prefix = "", format = "hex"} = options;
+    const path = prefix ? prefix.split(".") : [];
+
+    const group = (colors, groupPath) => {
+        const result = {};
+        const entries = Array.isArray(colors)
+            ? colors.map((v, i) => ["" + (i + 1), v])
+            : Object.entries(colors);
+
+        for (const [name, value] of entries) {
+            if (value && typeof value === "object" && !isPrimitive(value)) {
+                result[name] = group(value, [...groupPath, name]);
+            } else if (typeof value === "string" && /^\{.+\}$/.test(value.trim())) {
+                result[name] = {$type: "color", $value: value.trim()};
+            } else if (typeof value === "string" && value !== name && entries.some(([key]) => key === value)) {
+                result[name] = {$type: "color", $value: `{${[...groupPath, value].join(".")}}`};
+            } else {
+                result[name] = {$type: "color", $value: designTokenValue(value, format)};
+            }
+        }
+
+        return result;
+    };
+
+    return path.reduceRight((tokens, name) => ({[name]: tokens}), group(source, path));
+};
+
+/**
+ * Read W3C Design Tokens (DTCG) to palette object.
+ * Names of tokens in groups are joined with hyphen, aliases are resolved.
+ * @param {Object|string} tokens - Tokens object or JSON string
+ * @param {Object} options
+ * @param {string} options.prefix - Group path to read, e.g. "color.brand"
+ * @returns {Object}
+ */
+export const fromDesignTokens = (tokens, options = {}) => {
+    const {prefix = ""} = options;
+    const root = typeof tokens === "string" ? JSON.parse(tokens) : tokens;
+    const palette = {};
+    let start = root;
+
+    const find = path => path.reduce((node, key) => node && node[key], root);
+
+    const resolve = (value, depth = 0) => {
+        if (typeof value === "string" && /^\{.+\}$/.test(value.trim())) {
+            const target = find(value.trim().slice(1, -1).split("."));
+            if (!target || depth > 10) {
+                throw new Error("Unresolved token alias " + value + "!");
+            }
+            return resolve(target.$value, depth + 1);
+        }
+        if (value && typeof value === "object") {
+            return designTokenColor(value);
+        }
+        return value;
+    };
+
+    const walk = (node, names, type) => {
+        type = node.$type || type;
+        for (const key in node) {
+            const child = node[key];
+            if (key[0] === "$" || !child || typeof child !== "object") continue;
+            if (child.$value !== undefined) {
+                if ((child.$type || type) === "color") {
+                    palette[[...names, key].join("-")] = resolve(child.$value);
+                }
+            } else {
+                walk(child, [...names, key], type);
+            }
+        }
+    };
 
-    if (_color.includes("rgba")) {
-        return new RGBA(a[0], a[1], a[2], a[3]);
+    if (prefix) {
+        start = find(prefix.split("."));
+        if (!start) {
+            throw new Error("Token group " + prefix + " not found!");
+        }
     }
-    if (_color.includes("rgb")) {
-        return new RGB(a[0], a[1], a[2]);
+
+    walk(start, [], undefined);
+
+    return palette;
+};
+
+/**
+ * Parse from string to color type.
+ * Supports css color names, hex values and css color functions in legacy (comma separated)
+ * and modern (space separated with optional "/ alpha") syntax, percentages, angle units and none.
+ * @param color
+ * @param {Object} options
+ * @param {*} options.currentColor - Value used for the currentColor keyword
+ * @returns {HSL|RGB|RGBA|string|HSV|CMYK|HSLA|Lab|LCH|OKLab|OKLCH|HWB|HCT|PredefinedColor}
+ */
+export const parseColor = function (color, options = {}) {
+    return parseColorValue(color, options, 0);
+};
+
+// Max depth of palette names, which values are names of other colors
+const MAX_NAME_DEPTH = 10;
+
+/**
+ * Parse color, palette values, which are names too, are parsed recursively
+ * @param color
+ * @param {Object} options - parseColor options
+ * @param {number} depth - Current depth of palette names
+ * @returns {*}
+ */
+function parseColorValue(color, options, depth) {
+    const {currentColor = "#000000"} = options;
+    let _color, fn, result;
+
+    if (isPrimitive(color)) {
+        return color;
     }
-    if (_color.includes("cmyk")) {
-        return new CMYK(a[0], a[1], a[2], a[3]);
+
+    _color = (""+color).trim().toLowerCase();
+
+    if (_color === "transparent") {
+        return new RGBA(0, 0, 0, 0);
     }
-    if (_color.includes("hsv")) {
-        return new HSV(a[0], a[1], a[2]);
+
+    if (_color === "currentcolor") {
+        return parseColor(currentColor);
     }
-    if (_color.includes("hsla")) {
-        return new HSLA(a[0], a[1], a[2], a[3]);
+
+    if (_color[0] !== "#" && !_color.includes("(")) {
+        const named = Palette.resolve(_color);
+        if (isPrimitive(named)) {
+            return named;
+        }
+        if (named !== undefined) {
+            return depth < MAX_NAME_DEPTH ? parseColorValue(named, options, depth + 1) : _color;
+        }
     }
-    if (_color.includes("hsl")) {
-        return new HSL(a[0], a[1], a[2]);
+
+    if (_color[0] === "#") {
+        return expandHexColor(_color);
     }
-    return _color;
-};
+
+    fn = parseFunction(_color);
+    result = fn ? functionToColor(fn) : undefined;
+
+    return result ? result : _color;
+}
 
 export const parse = parseColor
 
@@ -1258,7 +4120,7 @@ export const randomColor = (colorType = "hex", alpha = 1) => {
 
     hex = "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
 
-    return colorType === "hex" ? hex : toColor(hex, colorType, alpha);
+    return toColor(hex, colorType, alpha);
 };
 
 export const random = randomColor
\ No newline at end of file
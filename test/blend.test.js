@@ -0,0 +1,15 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Routines} from "../src/index.js";
+
+test("blends with W3C blend modes", () => {
+    assert.equal(Routines.blend("#ff0000", "#0000ff", "multiply"), "#000000");
+    assert.equal(Routines.blend("#808080", "#ff8000", "screen"), "#ffc080");
+    assert.throws(() => Routines.blend("#ff0000", "#0000ff", "unknown"), /Unknown blend mode/);
+});
+
+test("composites translucent colors source-over in the type of backdrop", () => {
+    assert.equal(Routines.blend("rgba(255, 0, 0, 0.5)", "#0000ff"), "#800080");
+    assert.equal(Routines.blend("rgba(255, 0, 0, 0.5)", "#0000ff80"), "#aa0055c0");
+    assert.equal(Routines.blend("rgba(255, 0, 0, 0.5)", "hsl(240, 100%, 50%)").toString(), "hsl(300, 100%, 25%)");
+});
@@ -0,0 +1,22 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Routines} from "../src/index.js";
+
+test("simulates dichromacy with Machado matrices", () => {
+    assert.equal(Routines.simulate("#ff0000", "protanopia"), "#6d5f00");
+    assert.equal(Routines.simulate("#ff0000", "deuteranopia"), "#a39000");
+    assert.equal(Routines.simulate("#ff0000", "achromatopsia"), "#7f7f7f");
+});
+
+test("severity 0 keeps color, alpha is preserved", () => {
+    assert.equal(Routines.simulate("#ff0000", "protanomaly", 0), "#ff0000");
+    assert.equal(Routines.getAlpha(Routines.simulate("rgba(255, 0, 0, 0.5)", "tritanopia")), 0.5);
+});
+
+test("unknown deficiency throws", () => {
+    assert.throws(() => Routines.simulate("#ff0000", "unknown"), /Unknown color vision deficiency/);
+});
+
+test("daltonize shifts lost contrast to visible channels", () => {
+    assert.equal(Routines.daltonize("#ff0000", "protanopia"), "#ff0766");
+});
@@ -0,0 +1,24 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Routines} from "../src/index.js";
+
+test("palette is exported to DTCG tokens with aliases", () => {
+    const tokens = Routines.toDesignTokens({primary: "#3366cc", accent: "primary"}, {prefix: "color.brand"});
+
+    assert.deepEqual(tokens.color.brand.primary, {$type: "color", $value: "#3366cc"});
+    assert.equal(tokens.color.brand.accent.$value, "{color.brand.primary}");
+    assert.deepEqual(Routines.fromDesignTokens(tokens, {prefix: "color.brand"}), {primary: "#3366cc", accent: "#3366cc"});
+});
+
+test("color objects are read in css color spaces", () => {
+    const tokens = {
+        $type: "color",
+        a: {$value: {colorSpace: "srgb", components: [1, 0, 0], alpha: 0.5}},
+        b: {$value: {colorSpace: "hsl", components: [120, 100, 50]}},
+        c: {$value: {colorSpace: "oklch", components: [0.628, 0.2577, 29.23]}},
+    };
+
+    assert.deepEqual(Routines.fromDesignTokens(tokens), {a: "#ff000080", b: "#00ff00", c: "#ff0000"});
+    assert.throws(() => Routines.fromDesignTokens({x: {$type: "color", $value: {colorSpace: "cmyk", components: [0, 0, 0, 0]}}}),
+        /Unsupported token color space cmyk/);
+});
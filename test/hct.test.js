@@ -0,0 +1,35 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Routines, Color} from "../src/index.js";
+
+test("converts to HCT like Material Color Utilities", () => {
+    const hct = Routines.toHCT("#0000ff");
+
+    assert.equal(hct.h.toFixed(3), "282.788");
+    assert.equal(hct.c.toFixed(3), "87.231");
+    assert.equal(hct.t.toFixed(3), "32.303");
+    assert.equal(new Color("#ff0000").hct.toString(), "hct(27.41 113.36 53.23)");
+});
+
+test("HCT colors are converted back to sRGB", () => {
+    assert.equal(Routines.toHEX(Routines.toHCT("#6750a4")), "#6750a4");
+    assert.equal(Routines.toHEX("hct(120 40 50 / 50%)"), "#707d2e80");
+});
+
+test("tonal palette matches Material reference tones", () => {
+    const blue = Routines.toHCT("#0000ff");
+    const palette = Routines.tonalPalette(blue.h, blue.c, [100, 95, 90, 80, 70, 60, 50, 40, 30, 20, 10, 0]);
+
+    assert.deepEqual(Object.values(palette).reverse(), [
+        "#ffffff", "#f1efff", "#e0e0ff", "#bec2ff", "#9da3ff", "#7c84ff",
+        "#5a64ff", "#343dff", "#0000ef", "#0001ac", "#00006e", "#000000",
+    ]);
+});
+
+test("tonal scheme creates Material 3 key palettes", () => {
+    const scheme = Routines.createColorScheme("#6750a4", "tonal");
+
+    assert.deepEqual(Object.keys(scheme), ["primary", "secondary", "tertiary", "neutral", "neutralVariant", "error"]);
+    assert.equal(scheme.primary[40], "#6750a4");
+    assert.equal(scheme.error[40], "#ba1a1a");
+});
@@ -0,0 +1,14 @@
+/**
+ * Node resolve hook for tests. Sources import modules without extension (resolved by rollup on build),
+ * so relative specifiers, which are not found, are retried with .js extension.
+ */
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (e) {
+        if (e.code === "ERR_MODULE_NOT_FOUND" && /^\.{1,2}\//.test(specifier) && !specifier.endsWith(".js")) {
+            return nextResolve(specifier + ".js", context);
+        }
+        throw e;
+    }
+}
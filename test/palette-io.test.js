@@ -0,0 +1,26 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Palette} from "../src/index.js";
+
+const palette = {red: "#ff0000", skyBlue: "#87ceeb"};
+
+test("binary ase and aco palettes are exported and imported back", () => {
+    for (const format of ["ase", "aco"]) {
+        const data = Palette.export(palette, format);
+
+        assert.ok(data instanceof Uint8Array);
+        assert.deepEqual(Palette.import(data, format), palette);
+    }
+});
+
+test("gpl and css palettes are exported and imported back", () => {
+    const css = Palette.export(palette, "css", {prefix: "c-"});
+
+    assert.match(css, /--c-sky-blue: #87ceeb;/);
+    assert.deepEqual(Palette.import(css, "css", {prefix: "c-"}), palette);
+    assert.deepEqual(Palette.import(Palette.export(palette, "gpl", {name: "Test"}), "gpl"), palette);
+});
+
+test("unknown format throws", () => {
+    assert.throws(() => Palette.export(palette, "xml"), /Unsupported palette format/);
+});
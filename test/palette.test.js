@@ -0,0 +1,25 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Routines, Palette} from "../src/index.js";
+
+test("registered palettes are resolved by priority and namespace", () => {
+    Palette.register("brand", {primary: "#3366cc", danger: "metro:red"}, {priority: 10});
+
+    try {
+        assert.deepEqual(Palette.registered(), ["brand", "standard", "metro"]);
+        assert.equal(Palette.resolve("brand:primary"), "#3366cc");
+        assert.equal(Palette.resolve("Primary"), "#3366cc");
+        assert.equal(Routines.toHEX("brand:danger"), "#ce352c");
+        assert.equal(Routines.isColor("brand:danger"), true);
+    } finally {
+        Palette.unregister("brand");
+    }
+
+    assert.equal(Palette.resolve("primary"), undefined);
+});
+
+test("names are case and hyphen insensitive, nearest name is found", () => {
+    assert.equal(Palette.color("alice-blue"), "#f0f8ff");
+    assert.equal(Routines.toHEX("AliceBlue"), "#f0f8ff");
+    assert.equal(Palette.nearest("#fe0101").name, "red");
+});
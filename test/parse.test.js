@@ -0,0 +1,33 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Routines, Color} from "../src/index.js";
+
+test("parses hex, legacy and modern css color functions", () => {
+    assert.equal(Routines.toHEX("rgb(255 0 0 / 50%)"), "#ff000080");
+    assert.equal(Routines.toHEX("rgba(100%, 0%, 0%, 0.5)"), "#ff000080");
+    assert.equal(Routines.toHEX("hsl(120deg 100% 50%)"), "#00ff00");
+    assert.equal(Routines.toHEX("hwb(240 0% 0%)"), "#0000ff");
+    assert.equal(Routines.toHEX("#f00"), "#ff0000");
+});
+
+test("parses Lab, LCH, OKLab, OKLCH and color()", () => {
+    assert.equal(Routines.toHEX("lab(54.29 80.8 69.89)"), "#ff0000");
+    assert.equal(Routines.toHEX("oklch(0.628 0.2577 29.23)"), "#ff0000");
+    assert.equal(Routines.toHEX("color(srgb 1 0 0)"), "#ff0000");
+    assert.equal(Routines.colorType("color(display-p3 1 0 0)"), "display-p3");
+});
+
+test("rejects invalid css colors", () => {
+    assert.equal(Routines.isColor("rgb(100%, 0, 0)"), false);
+    assert.equal(Routines.isColor("hsl(1e400 50% 50%)"), false);
+    assert.equal(Routines.isColor("lab(50 20)"), false);
+});
+
+test("normalizes huge hue angles", () => {
+    assert.equal(Routines.isColor("hsl(1e20 50% 50%)"), true);
+    assert.equal(Routines.toHEX("hsl(-240 100% 50%)"), "#00ff00");
+});
+
+test("Color accepts css strings", () => {
+    assert.equal(new Color("oklch(0.628 0.2577 29.23)").toHEX().toString(), "#ff0000");
+});
@@ -0,0 +1,30 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Routines} from "../src/index.js";
+
+test("ramp places source color at the closest step", () => {
+    const ramp = Routines.ramp("#3b82f6");
+
+    assert.deepEqual(Object.keys(ramp), ["50", "100", "200", "300", "400", "500", "600", "700", "800", "900", "950"]);
+    assert.equal(ramp[500], "#3b82f6");
+    assert.equal(Routines.toOKLCH(ramp[50]).l.toFixed(2), "0.97");
+    assert.equal(Routines.toOKLCH(ramp[950]).l.toFixed(2), "0.25");
+});
+
+test("ramp keys always end at 950", () => {
+    assert.deepEqual(Object.keys(Routines.ramp("#3b82f6", {steps: 5})), ["50", "100", "500", "900", "950"]);
+    assert.deepEqual(Object.keys(Routines.ramp("#3b82f6", {keys: ["light", "base", "dark"], at: "base"})), ["light", "base", "dark"]);
+});
+
+test("ramp options are validated", () => {
+    assert.throws(() => Routines.ramp("#3b82f6", {steps: 3, keys: [1, 2]}), /doesn't match/);
+    assert.throws(() => Routines.ramp("#3b82f6", {steps: 1}), /at least two steps/);
+    assert.throws(() => Routines.ramp("#3b82f6", {at: 75}), /Unknown ramp step/);
+    assert.throws(() => Routines.ramp("#3b82f6", {space: "hsv"}), /Unsupported ramp space/);
+});
+
+test("ramp scheme returns steps in requested format", () => {
+    const ramp = Routines.createColorScheme("#3b82f6", "ramp", "rgb", {hueShift: 20});
+
+    assert.deepEqual(ramp[500], Routines.toRGB("#3b82f6"));
+});
@@ -0,0 +1,25 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Routines} from "../src/index.js";
+
+test("maps domain to colors, values outside of domain are clamped", () => {
+    const f = Routines.scale(["#000000", "#ffffff"]);
+
+    assert.equal(f(0.5), "#808080");
+    assert.equal(f(2), "#ffffff");
+    assert.deepEqual(f.colors(3), ["#000000", "#808080", "#ffffff"]);
+});
+
+test("interpolates in specified space and quantizes classes", () => {
+    assert.equal(Routines.scale(["red", "blue"], {space: "oklch"})(0.5), "#b700be");
+    assert.equal(Routines.scale(["#000000", "#ffffff"], {domain: [0, 100], classes: 2})(40), "#000000");
+});
+
+test("rejects invalid values and domain", () => {
+    const f = Routines.scale(["#000000", "#ffffff"]);
+
+    assert.throws(() => f(NaN), /not a valid scale value/);
+    assert.throws(() => f("x"), /not a valid scale value/);
+    assert.throws(() => Routines.scale(["red", "blue"], {domain: [0, NaN]}), /finite numbers/);
+    assert.throws(() => Routines.scale(["red"]), /at least two colors/);
+});